@@ -9,9 +9,28 @@ import { FXAAShader } from 'jsm/shaders/FXAAShader.js';
 import getSun from "./src/getSun.js";
 import getNebula from "./src/getNebula.js";
 import getStarfield from "./src/getStarfield.js";
+import getSkyOverlay from "./src/getSkyOverlay.js";
+import getBodyLabels from "./src/getBodyLabels.js";
+import getCameraTransition from "./src/getCameraTransition.js";
+import getCameraTour from "./src/getCameraTour.js";
+import getTourPlayer from "./src/getTourPlayer.js";
+import loadGuidedTour, { parseGuidedTour, validateGuidedTour } from "./src/loadGuidedTour.js";
+import { encodeViewHash, decodeViewHash } from "./src/viewHash.js";
+import getPreferences from "./src/preferences.js";
+import { QUALITY_PRESETS, applyQualityToScene, getAdaptiveQuality } from "./src/graphicsQuality.js";
+import getBodyPicker from "./src/getBodyPicker.js";
+import getPointerGestures from "./src/getPointerGestures.js";
 import getPlanet from "./src/getPlanet.js";
 import getAsteroidBelt from "./src/getAsteroidBelt.js";
+import getKuiperBelt from "./src/getKuiperBelt.js";
+import getComet from "./src/getComet.js";
+import { getCompressedScale, getSystemScale, SCALE_MODES } from "./src/distanceScale.js";
 import getElipticLines, { getRing } from "./src/getElipticLines.js";
+import { getPeriod, getOrbitalPosition, getOrbitPoints, getOrbitalState, getEquatorPlane } from "./src/keplerOrbit.js";
+import getSimulationClock from "./src/getSimulationClock.js";
+import loadSystemConfig from "./src/loadSystemConfig.js";
+import { loadTextureManifest, texturesSettled, onTextureDiagnostic } from "./src/textureAssets.js";
+import loadingManager, { trackLoad } from "./src/loadingManager.js";
 
 // Global variables
 const w = window.innerWidth;
@@ -22,9 +41,13 @@ camera.position.set(0, 20, 0); // Top-down view
 camera.lookAt(0, 0, 0);
 
 // Enhanced renderer with better settings
+// The linear and true-distance scale modes push the far plane out by orders of magnitude while
+// the near plane has to stay close for true-size bodies, so depth is stored logarithmically
+// (custom shaders include the logdepthbuf chunks) to keep rims, rings and atmospheres apart
 const renderer = new THREE.WebGLRenderer({ 
   antialias: true,
-  powerPreference: "high-performance"
+  powerPreference: "high-performance",
+  logarithmicDepthBuffer: true
 });
 renderer.setSize(w, h);
 renderer.toneMapping = THREE.ACESFilmicToneMapping;
@@ -64,20 +87,54 @@ controls.enableRotate = true; // Allow rotation
 controls.enablePan = true;
 controls.enableZoom = true;
 
+// Zoom limits for the whole scene, set by the scale mode; the orbit camera narrows them per body
+const sceneCameraLimits = { min: controls.minDistance, max: controls.maxDistance };
+// Orbit camera: zoom range in multiples of the selected body's radius
+const ORBIT_MIN_RADII = 1.5;
+const ORBIT_MAX_RADII = 80;
+// Where the orbit camera last saw its body; null until the lock (re)starts
+let orbitLockPosition = null;
+
+// Fly-to transitions run in the main loop; grabbing the controls stops them where they are
+const cameraTransition = getCameraTransition({ camera, controls });
+controls.addEventListener('start', () => {
+  // The auto tour pauses and resumes by itself once the user leaves it alone
+  if (state.cameraMode === 'auto' && globalCameraTour) {
+    globalCameraTour.interact(true);
+  } else {
+    cameraTransition.cancel();
+  }
+});
+controls.addEventListener('end', () => {
+  if (globalCameraTour) globalCameraTour.interact(false);
+});
+
 // State management
 const state = {
-  cameraMode: 'auto', // 'auto', 'manual', 'follow'
+  cameraMode: 'auto', // 'auto', 'manual', 'orbit', 'follow'
   bloomEnabled: true,
   atmosphereEnabled: true,
   particlesEnabled: true,
+  starCatalogEnabled: true,
+  constellationsEnabled: false,
+  skyGridEnabled: false,
+  starNamesEnabled: false,
+  labelsEnabled: true,
+  labelDetailsEnabled: false,
+  dwarfPlanetsEnabled: true,
+  cometsEnabled: true,
+  kuiperBeltEnabled: true,
   audioEnabled: false,
   speedMultiplier: 1.0,
+  quality: 'auto', // 'auto' or a graphics preset
   selectedPlanet: null,
-  planets: {},
-  raycaster: new THREE.Raycaster(),
-  mouse: new THREE.Vector2()
+  infoTab: 'physical',
+  planets: {}
 };
 
+// Simulation clock: starts at the current date, one week per second
+const clock = getSimulationClock({ date: new Date(), rate: 7 });
+
 // Audio context
 let audioContext, audioSource;
 function initAudio() {
@@ -101,6 +158,176 @@ function initAudio() {
   }
 }
 
+function stopAudio() {
+  if (audioSource && audioSource.oscillator) {
+    audioSource.oscillator.stop();
+    audioSource.oscillator.disconnect();
+  }
+  if (audioContext) {
+    audioContext.close();
+    audioContext = null;
+  }
+  audioSource = null;
+}
+
+// Every on/off setting: its state flag, toggle button and label, and how it changes the scene
+const TOGGLES = {
+  bloom: { key: 'bloomEnabled', button: 'toggle-bloom', label: 'Bloom', apply: (on) => {
+    bloomPass.enabled = on && QUALITY_PRESETS[activeQuality].bloom;
+  } },
+  atmosphere: { key: 'atmosphereEnabled', button: 'toggle-atmosphere', label: 'Atmosphere', apply: (on) => {
+    Object.values(state.planets).forEach(planetGroup => {
+      planetGroup.traverse(obj => {
+        if (obj.material && obj.material.transparent && obj.material.side === THREE.BackSide) {
+          // LOD levels have their visibility picked every frame, so hide the whole shell
+          (obj.parent?.isLOD ? obj.parent : obj).visible = on;
+        }
+      });
+    });
+  } },
+  particles: { key: 'particlesEnabled', button: 'toggle-particles', label: 'Particles', apply: (on) => {
+    if (globalParticleSystem) globalParticleSystem.visible = on;
+    if (globalStarfield) globalStarfield.visible = on;
+  } },
+  starCatalog: { key: 'starCatalogEnabled', button: 'toggle-star-catalog', label: 'Real Sky', apply: (on) => {
+    if (globalStarfield) globalStarfield.userData.setCatalogVisible(on);
+  } },
+  constellations: { key: 'constellationsEnabled', button: 'toggle-constellations', label: 'Constellations', apply: (on) => {
+    if (globalSkyOverlay) globalSkyOverlay.userData.setLayerVisible('constellations', on);
+  } },
+  skyGrid: { key: 'skyGridEnabled', button: 'toggle-sky-grid', label: 'Sky Grid', apply: (on) => {
+    if (globalSkyOverlay) globalSkyOverlay.userData.setLayerVisible('grid', on);
+  } },
+  starNames: { key: 'starNamesEnabled', button: 'toggle-star-names', label: 'Star Names', apply: (on) => {
+    if (globalSkyOverlay) globalSkyOverlay.userData.setLayerVisible('starNames', on);
+  } },
+  labels: { key: 'labelsEnabled', button: 'toggle-labels', label: 'Labels', apply: (on) => {
+    if (globalBodyLabels) globalBodyLabels.setVisible(on);
+  } },
+  labelDetails: { key: 'labelDetailsEnabled', button: 'toggle-label-details', label: 'Distances', apply: (on) => {
+    if (globalBodyLabels) globalBodyLabels.setShowDetails(on);
+  } },
+  dwarfPlanets: { key: 'dwarfPlanetsEnabled', button: 'toggle-dwarf-planets', label: 'Dwarf Planets', apply: (on) => {
+    setBodyTypeVisible('Dwarf Planet', on);
+  } },
+  comets: { key: 'cometsEnabled', button: 'toggle-comets', label: 'Comets', apply: (on) => {
+    setBodyTypeVisible('Comet', on);
+  } },
+  kuiperBelt: { key: 'kuiperBeltEnabled', button: 'toggle-kuiper-belt', label: 'Kuiper Belt', apply: (on) => {
+    if (globalKuiperBelt) globalKuiperBelt.visible = on;
+  } },
+  audio: { key: 'audioEnabled', button: 'toggle-audio', label: 'Audio', apply: (on) => {
+    if (on) {
+      initAudio();
+    } else {
+      stopAudio();
+    }
+  } }
+};
+
+function updateToggleLabels() {
+  Object.values(TOGGLES).forEach(({ key, button, label }) => {
+    document.getElementById(button).textContent = `${label}: ${state[key] ? 'ON' : 'OFF'}`;
+  });
+}
+
+// Remembered settings: the toggles, speed, graphics quality and scale mode. They are restored into `state`
+// here, before the scene is built; the scale mode is handed to the scene when it is
+function getPreferenceValues(scaleMode) {
+  return {
+    ...Object.fromEntries(Object.values(TOGGLES).map(({ key }) => [key, state[key]])),
+    speedMultiplier: state.speedMultiplier,
+    quality: state.quality,
+    scaleMode
+  };
+}
+const preferences = getPreferences({ key: 'solar-system-preferences', defaults: getPreferenceValues('compressed') });
+const { scaleMode: preferredScaleMode, ...restoredPreferences } = preferences.load();
+Object.assign(state, restoredPreferences);
+if (state.quality !== 'auto' && !QUALITY_PRESETS[state.quality]) state.quality = 'auto';
+
+function savePreferences() {
+  preferences.save(getPreferenceValues(globalSystemScale ? globalSystemScale.mode : preferredScaleMode));
+}
+
+// Setters shared by the controls, guided tours and shared links. Only the user's own choices
+// are remembered: tours and links pass `persist: false` so they never overwrite saved settings
+function setToggle(name, on, { persist = true } = {}) {
+  const toggle = TOGGLES[name];
+  state[toggle.key] = on;
+  toggle.apply(on);
+  updateToggleLabels();
+  if (persist) savePreferences();
+}
+
+function setSpeed(value, { persist = true } = {}) {
+  state.speedMultiplier = value;
+  document.getElementById('speed-control').value = value;
+  document.getElementById('speed-value').textContent = `${value.toFixed(1)}x`;
+  if (persist) savePreferences();
+}
+
+function setScaleMode(mode, { persist = true } = {}) {
+  if (!globalSystemScale) return;
+  globalSystemScale.setMode(mode);
+  updateScaleModeStates();
+  if (persist) savePreferences();
+}
+
+// Back to the defaults, then forget the saved copy
+function resetPreferences() {
+  const { defaults } = preferences;
+  Object.entries(TOGGLES).forEach(([name, { key }]) => {
+    if (state[key] !== defaults[key]) setToggle(name, defaults[key]);
+  });
+  setSpeed(defaults.speedMultiplier);
+  setScaleMode(defaults.scaleMode);
+  setQuality(defaults.quality);
+  preferences.clear();
+}
+
+// Graphics quality: a fixed preset, or 'auto' to move between presets with the frame rate
+let activeQuality = 'high';
+const adaptiveQuality = getAdaptiveQuality({ level: activeQuality, onChange: applyQuality });
+
+function updateFxaaResolution() {
+  fxaaPass.material.uniforms['resolution'].value.x = 1 / (window.innerWidth * renderer.getPixelRatio());
+  fxaaPass.material.uniforms['resolution'].value.y = 1 / (window.innerHeight * renderer.getPixelRatio());
+}
+
+function applyQuality(name) {
+  const preset = QUALITY_PRESETS[name];
+  activeQuality = name;
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, preset.maxPixelRatio));
+  composer.setPixelRatio(renderer.getPixelRatio());
+  updateFxaaResolution();
+  fxaaPass.enabled = preset.fxaa;
+  TOGGLES.bloom.apply(state.bloomEnabled);
+  if (globalStarfield) globalStarfield.userData.setPixelRatio(renderer.getPixelRatio());
+  applyQualityToScene(scene, preset);
+  updateQualityStates();
+}
+
+function setQuality(name) {
+  state.quality = name;
+  if (name === 'auto') {
+    adaptiveQuality.reset(activeQuality);
+    updateQualityStates();
+  } else {
+    applyQuality(name);
+  }
+  savePreferences();
+}
+
+function updateQualityStates() {
+  document.querySelectorAll('.quality-preset').forEach(button => {
+    button.classList.toggle('active', button.dataset.quality === state.quality);
+  });
+  document.getElementById('quality-note').textContent = state.quality === 'auto'
+    ? `Adaptive: ${QUALITY_PRESETS[activeQuality].label}`
+    : '';
+}
+
 // UI Controls
 function setupUI() {
   // Camera mode buttons
@@ -114,100 +341,352 @@ function setupUI() {
     updateButtonStates();
   });
   
+  document.getElementById('orbit-camera').addEventListener('click', () => {
+    setCameraMode('orbit');
+    updateButtonStates();
+  });
+  
   document.getElementById('planet-follow').addEventListener('click', () => {
     setCameraMode('follow');
     updateButtonStates();
   });
   
-  // Effect toggles
-  document.getElementById('toggle-bloom').addEventListener('click', () => {
-    state.bloomEnabled = !state.bloomEnabled;
-    bloomPass.enabled = state.bloomEnabled;
-    document.getElementById('toggle-bloom').textContent = `Bloom: ${state.bloomEnabled ? 'ON' : 'OFF'}`;
+  // Scale modes
+  document.querySelectorAll('.scale-mode').forEach(button => {
+    button.addEventListener('click', () => setScaleMode(button.dataset.mode));
   });
+  updateScaleModeStates();
   
-  document.getElementById('toggle-atmosphere').addEventListener('click', () => {
-    state.atmosphereEnabled = !state.atmosphereEnabled;
-    document.getElementById('toggle-atmosphere').textContent = `Atmosphere: ${state.atmosphereEnabled ? 'ON' : 'OFF'}`;
-    // Actually show/hide atmospheres robustly
-    Object.values(state.planets).forEach(planetGroup => {
-      if (planetGroup && planetGroup.traverse) {
-        planetGroup.traverse(obj => {
-          if (obj.material && obj.material.transparent && obj.material.side === THREE.BackSide) {
-            obj.visible = state.atmosphereEnabled;
-          }
-        });
-      }
-    });
+  // Graphics quality presets
+  document.querySelectorAll('.quality-preset').forEach(button => {
+    button.addEventListener('click', () => setQuality(button.dataset.quality));
   });
+  updateQualityStates();
   
-  document.getElementById('toggle-particles').addEventListener('click', () => {
-    state.particlesEnabled = !state.particlesEnabled;
-    document.getElementById('toggle-particles').textContent = `Particles: ${state.particlesEnabled ? 'ON' : 'OFF'}`;
-    if (globalParticleSystem) globalParticleSystem.visible = state.particlesEnabled;
-    if (globalStarfield) globalStarfield.visible = state.particlesEnabled;
-  });
-  
-  document.getElementById('toggle-audio').addEventListener('click', () => {
-    state.audioEnabled = !state.audioEnabled;
-    document.getElementById('toggle-audio').textContent = `Audio: ${state.audioEnabled ? 'ON' : 'OFF'}`;
-    if (state.audioEnabled) {
-      initAudio();
-    } else {
-      // Stop and clean up audio
-      if (audioSource && audioSource.oscillator) {
-        audioSource.oscillator.stop();
-        audioSource.oscillator.disconnect();
-      }
-      if (audioContext) {
-        audioContext.close();
-        audioContext = null;
-      }
-      audioSource = null;
-    }
+  // On/off toggles: flip the state, update the scene and the button, remember the choice
+  Object.entries(TOGGLES).forEach(([name, { key, button }]) => {
+    document.getElementById(button).addEventListener('click', () => setToggle(name, !state[key]));
   });
+  updateToggleLabels();
+  // Audio restored from preferences can only start once the page has been clicked
+  window.addEventListener('pointerdown', () => {
+    if (audioContext && audioContext.state === 'suspended') audioContext.resume();
+  }, { once: true });
   
   // Speed control
   const speedControl = document.getElementById('speed-control');
   const speedValue = document.getElementById('speed-value');
-  speedControl.addEventListener('input', (e) => {
-    state.speedMultiplier = parseFloat(e.target.value);
-    speedValue.textContent = `${state.speedMultiplier.toFixed(1)}x`;
-  });
+  speedControl.value = state.speedMultiplier;
+  speedValue.textContent = `${state.speedMultiplier.toFixed(1)}x`;
+  speedControl.addEventListener('input', (e) => setSpeed(parseFloat(e.target.value)));
   
-  // Mouse events for planet selection
-  renderer.domElement.addEventListener('click', onMouseClick);
-  renderer.domElement.addEventListener('mousemove', onMouseMove);
+  // Simulation time controls
+  const pauseButton = document.getElementById('toggle-pause');
+  pauseButton.addEventListener('click', () => {
+    const paused = clock.togglePause();
+    pauseButton.textContent = paused ? 'Resume' : 'Pause';
+    pauseButton.classList.toggle('active', paused);
+  });
+
+  const reverseButton = document.getElementById('toggle-reverse');
+  reverseButton.addEventListener('click', () => {
+    clock.reverse();
+    reverseButton.classList.toggle('active', clock.rate < 0);
+  });
+
+  document.querySelectorAll('.rate-preset').forEach(button => {
+    button.addEventListener('click', () => {
+      // Presets set the magnitude; the reverse toggle keeps its direction
+      const direction = clock.rate < 0 ? -1 : 1;
+      clock.setRate(direction * parseFloat(button.dataset.rate));
+      updateRatePresetStates();
+    });
+  });
+  updateRatePresetStates();
+
+  const datePicker = document.getElementById('date-picker');
+  datePicker.value = clock.getDate().toISOString().slice(0, 10);
+  document.getElementById('jump-to-date').addEventListener('click', () => {
+    const date = new Date(`${datePicker.value}T00:00:00Z`);
+    if (!isNaN(date.getTime())) setSimulationDate(date);
+  });
+  document.getElementById('jump-to-today').addEventListener('click', () => setSimulationDate(new Date()));
+
+  // Body search and list: click a name, or press Enter to fly to the first match
+  buildBodyTree();
+  const bodySearch = document.getElementById('body-search');
+  bodySearch.addEventListener('input', () => filterBodyTree(bodySearch.value));
+  bodySearch.addEventListener('keydown', (event) => {
+    if (event.key !== 'Enter') return;
+    const match = filterBodyTree(bodySearch.value);
+    if (match) flyToPlanet(match);
+  });
+  document.getElementById('body-tree').addEventListener('click', (event) => {
+    const name = event.target.closest('.body-tree-item');
+    if (name) flyToPlanet(name.dataset.id);
+  });
+
+  // Guided tour player
+  document.getElementById('tour-play').addEventListener('click', toggleGuidedTour);
+  document.getElementById('tour-prev').addEventListener('click', () => tourPlayer.previous());
+  document.getElementById('tour-next').addEventListener('click', () => tourPlayer.next());
+  document.getElementById('tour-record').addEventListener('click', recordGuidedStep);
+  document.getElementById('tour-save').addEventListener('click', saveGuidedTour);
+  const tourFile = document.getElementById('tour-file');
+  document.getElementById('tour-open').addEventListener('click', () => tourFile.click());
+  tourFile.addEventListener('change', () => {
+    if (tourFile.files[0]) openGuidedTour(tourFile.files[0]);
+    tourFile.value = '';
+  });
+
+  // Shareable links
+  document.getElementById('copy-link').addEventListener('click', copyViewLink);
+  document.getElementById('reset-preferences').addEventListener('click', resetPreferences);
+  window.addEventListener('hashchange', applyViewHash);
+
+  // Information panel tabs and close button
+  document.getElementById('info-panel').addEventListener('click', (event) => {
+    const tab = event.target.closest('.info-tab');
+    if (tab) showInfoTab(tab.dataset.tab);
+  });
+  document.getElementById('info-close').addEventListener('click', closePlanetInfo);
+
+  // Controls panel folds away on small screens, starting folded
+  const ui = document.getElementById('ui');
+  const uiToggle = document.getElementById('ui-toggle');
+  function setControlsCollapsed(collapsed) {
+    ui.classList.toggle('collapsed', collapsed);
+    uiToggle.textContent = collapsed ? 'Show' : 'Hide';
+    uiToggle.setAttribute('aria-expanded', String(!collapsed));
+  }
+  setControlsCollapsed(window.matchMedia(SMALL_SCREEN_QUERY).matches);
+  uiToggle.addEventListener('click', () => setControlsCollapsed(!ui.classList.contains('collapsed')));
+
+  // Pointer gestures for selection and camera modes, for mouse, touch and pen alike
+  getPointerGestures({
+    element: renderer.domElement,
+    onPress: onScenePress,
+    onTap: onSceneTap,
+    onDoubleTap: onSceneDoubleTap,
+    onLongPress: onSceneLongPress,
+    onHover: onSceneHover,
+    onLeave: onSceneLeave,
+    onTwoFingerGesture: onTwoFingerGesture,
+    onTwoFingerTap: onTwoFingerTap
+  });
 }
 
 function updateButtonStates() {
   document.getElementById('auto-camera').classList.toggle('active', state.cameraMode === 'auto');
   document.getElementById('manual-camera').classList.toggle('active', state.cameraMode === 'manual');
+  document.getElementById('orbit-camera').classList.toggle('active', state.cameraMode === 'orbit');
   document.getElementById('planet-follow').classList.toggle('active', state.cameraMode === 'follow');
 }
 
-function setCameraMode(mode) {
+function updateScaleModeStates() {
+  const mode = globalSystemScale ? globalSystemScale.mode : 'compressed';
+  document.querySelectorAll('.scale-mode').forEach(button => {
+    button.classList.toggle('active', button.dataset.mode === mode);
+  });
+  document.getElementById('scale-note').textContent = SCALE_MODES[mode].note;
+}
+
+function updateRatePresetStates() {
+  document.querySelectorAll('.rate-preset').forEach(button => {
+    button.classList.toggle('active', parseFloat(button.dataset.rate) === Math.abs(clock.rate));
+  });
+}
+
+// Jump the clock, keeping the date picker on the new day whoever asked for the jump
+function setSimulationDate(date) {
+  clock.setDate(date);
+  document.getElementById('date-picker').value = clock.getDate().toISOString().slice(0, 10);
+}
+
+// Simulated date readout, only touching the DOM when the text changes
+let lastDateText = '';
+function updateDateReadout() {
+  const date = clock.getDate();
+  if (isNaN(date.getTime())) return;
+  const text = `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  if (text !== lastDateText) {
+    document.getElementById('sim-date').textContent = text;
+    lastDateText = text;
+  }
+  const daysPerSecond = clock.paused ? 0 : clock.rate * state.speedMultiplier;
+  document.getElementById('sim-rate').textContent = clock.paused
+    ? 'Paused'
+    : `${daysPerSecond >= 0 ? '+' : ''}${daysPerSecond.toFixed(2)} days/s`;
+}
+
+// Switching modes glides into the new mode's view instead of jumping there
+// With `frame: false` the follow and orbit cameras start from wherever the camera is
+function setCameraMode(mode, { frame = true } = {}) {
   state.cameraMode = mode;
+  if (globalCameraTour && mode !== 'auto') globalCameraTour.stop();
   if (mode === 'auto') {
-    camera.position.set(0, 20, 0);
-    camera.lookAt(0, 0, 0);
-  }
-}
-
-// Planet information
-const planetData = {
-  sun: { name: 'Sun', type: 'Star', diameter: '1,392,700 km', distance: '0 AU' },
-  mercury: { name: 'Mercury', type: 'Terrestrial', diameter: '4,879 km', distance: '0.39 AU' },
-  venus: { name: 'Venus', type: 'Terrestrial', diameter: '12,104 km', distance: '0.72 AU' },
-  earth: { name: 'Earth', type: 'Terrestrial', diameter: '12,756 km', distance: '1 AU' },
-  moon: { name: 'Moon', type: 'Natural Satellite', diameter: '3,474 km', distance: '0.00257 AU' },
-  mars: { name: 'Mars', type: 'Terrestrial', diameter: '6,792 km', distance: '1.52 AU' },
-  jupiter: { name: 'Jupiter', type: 'Gas Giant', diameter: '142,984 km', distance: '5.20 AU' },
-  saturn: { name: 'Saturn', type: 'Gas Giant', diameter: '120,536 km', distance: '9.58 AU' },
-  uranus: { name: 'Uranus', type: 'Ice Giant', diameter: '51,118 km', distance: '19.18 AU' },
-  neptune: { name: 'Neptune', type: 'Ice Giant', diameter: '49,528 km', distance: '30.07 AU' }
-};
+    if (globalCameraTour) globalCameraTour.start();
+  } else if (!frame) {
+    orbitLockPosition = null;
+  } else if (mode === 'follow' && state.planets[state.selectedPlanet]) {
+    chaseCameraTo(state.planets[state.selectedPlanet]);
+  } else if (mode === 'orbit' && state.planets[state.selectedPlanet]) {
+    frameCameraOn(state.selectedPlanet);
+  }
+  updateCameraLimits();
+}
+
+// The orbit camera keeps between a close-up and a distant view of its body; other modes
+// use the scene-wide limits
+function updateCameraLimits() {
+  if (state.cameraMode === 'orbit' && state.planets[state.selectedPlanet]) {
+    const radius = getBodyRadius(state.selectedPlanet);
+    controls.maxDistance = Math.min(radius * ORBIT_MAX_RADII, sceneCameraLimits.max);
+    controls.minDistance = Math.min(radius * ORBIT_MIN_RADII, controls.maxDistance);
+  } else {
+    controls.minDistance = sceneCameraLimits.min;
+    controls.maxDistance = sceneCameraLimits.max;
+  }
+}
+
+// Carry the orbit camera along with its body: the camera and the look-at point both move
+// by however far the body moved, so rotating, zooming and panning stay relative to it
+function updateOrbitLock() {
+  const planet = state.planets[state.selectedPlanet];
+  if (!planet) {
+    orbitLockPosition = null;
+    return;
+  }
+  const position = planet.getWorldPosition(new THREE.Vector3());
+  if (orbitLockPosition) {
+    const moved = position.clone().sub(orbitLockPosition);
+    camera.position.add(moved);
+    controls.target.add(moved);
+  }
+  orbitLockPosition = position;
+}
+
+// Planet information, filled from the system config at startup, along with the system's
+// star and the optional observer body that light-times are measured from
+const planetData = {};
+const systemBodies = { starId: null, observerId: null };
+const AU_KM = 149597870.7;
+const GRAVITATIONAL_CONSTANT = 6.674e-11;
+const LIGHT_SPEED_KM_S = 299792.458;
+const SUPERSCRIPTS = { '-': '⁻', 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+
+// 5.97237e24 -> "5.97 × 10²⁴"
+function formatScientific(value) {
+  const [mantissa, exponent] = value.toExponential(2).split('e');
+  return `${mantissa} × 10${String(Number(exponent)).replace(/[-0-9]/g, char => SUPERSCRIPTS[char])}`;
+}
+
+function formatDuration(hours) {
+  const abs = Math.abs(hours);
+  if (abs < 48) return `${abs.toFixed(1)} hours`;
+  if (abs < 2 * 8766) return `${(abs / 24).toFixed(1)} days`;
+  return `${(abs / 8766).toFixed(1)} years`;
+}
+
+function formatLightTime(seconds) {
+  if (seconds < 120) return `${seconds.toFixed(1)} s`;
+  if (seconds < 7200) return `${(seconds / 60).toFixed(1)} min`;
+  return `${(seconds / 3600).toFixed(2)} h`;
+}
+
+function setPlanetData(config) {
+  const byId = Object.fromEntries(config.bodies.map(body => [body.id, body]));
+  systemBodies.starId = config.bodies.find(body => !body.parent).id;
+  systemBodies.observerId = config.observer ?? null;
+  config.bodies.forEach(body => {
+    const { radiusKm, massKg, temperatureK, rotationPeriod } = body.physical ?? {};
+    const radiusM = radiusKm * 1000;
+    const parent = byId[body.parent];
+    let distanceLabel = null;
+    let distance = null;
+    let orbitalPeriodDays = null;
+    if (parent && body.orbit) {
+      const a = body.orbit.elements.a;
+      distanceLabel = `Distance from ${parent.name}`;
+      // Satellites read better in km, planets in AU
+      distance = parent.parent
+        ? `${Math.round(a * AU_KM).toLocaleString('en-US')} km`
+        : `${a.toFixed(2)} AU`;
+      orbitalPeriodDays = getPeriod(body.orbit.elements);
+    }
+    // A solar day differs from the sidereal rotation by one turn per orbit around the Sun
+    let solarDay = null;
+    if (rotationPeriod && orbitalPeriodDays && parent && !parent.parent) {
+      solarDay = 1 / (1 / rotationPeriod - 1 / (orbitalPeriodDays * 24));
+    }
+    const moons = config.bodies.filter(other => other.parent === body.id && other.type === 'Natural Satellite');
+    planetData[body.id] = {
+      name: body.name,
+      type: body.type,
+      size: body.size,
+      parentId: body.parent ?? null,
+      parentName: parent?.name ?? null,
+      diameter: radiusKm ? `${Math.round(radiusKm * 2).toLocaleString('en-US')} km` : 'Unknown',
+      mass: massKg ? `${formatScientific(massKg)} kg` : 'Unknown',
+      gravity: massKg && radiusKm ? `${(GRAVITATIONAL_CONSTANT * massKg / (radiusM * radiusM)).toFixed(2)} m/s²` : 'Unknown',
+      density: massKg && radiusKm ? `${(massKg / (4 / 3 * Math.PI * radiusM ** 3) / 1000).toFixed(2)} g/cm³` : 'Unknown',
+      temperature: temperatureK ? `${Math.round(temperatureK)} K (${Math.round(temperatureK - 273.15)} °C)` : 'Unknown',
+      rotation: rotationPeriod ? `${formatDuration(rotationPeriod)}${rotationPeriod < 0 ? ' (retrograde)' : ''}` : 'Unknown',
+      solarDay: solarDay ? formatDuration(solarDay) : null,
+      orbitalPeriod: orbitalPeriodDays ? formatDuration(orbitalPeriodDays * 24) : null,
+      distanceLabel,
+      distance,
+      moons: moons.map(moon => moon.name),
+      description: body.description ?? ''
+    };
+  });
+}
+
+// Position relative to the Sun in AU (scene axes) at the simulated date, adding up the
+// orbits of the body and every parent it rides along with
+function getHeliocentricPosition(planetName, target = new THREE.Vector3()) {
+  const offset = new THREE.Vector3();
+  target.set(0, 0, 0);
+  for (let current = planetName; planetData[current]?.parentId; current = planetData[current].parentId) {
+    target.add(getOrbitalPosition(state.planets[current].userData.elements, clock.jd, offset));
+  }
+  return target;
+}
+
+// Names and descriptions come from the (replaceable) system config, so never trust them as markup
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function infoRow(label, value) {
+  return `<div><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</div>`;
+}
+
+// Live orbital readout for the selected body, recomputed from the simulation clock
+function getOrbitInfo(planetName) {
+  const data = planetData[planetName];
+  const rows = [];
+  const position = getHeliocentricPosition(planetName);
+  if (data.parentId) {
+    rows.push(infoRow(`Distance from ${planetData[systemBodies.starId].name}`, `${position.length().toFixed(3)} AU`));
+    const { distance, speed, trueAnomaly } = getOrbitalState(state.planets[planetName].userData.elements, clock.jd);
+    if (planetData[data.parentId].parentId) {
+      rows.push(infoRow(`Distance from ${data.parentName}`, `${Math.round(distance * AU_KM).toLocaleString('en-US')} km`));
+    }
+    rows.push(infoRow('Orbital velocity', `${(speed * AU_KM / 86400).toFixed(2)} km/s`));
+    rows.push(infoRow('True anomaly', `${trueAnomaly.toFixed(1)}°`));
+    rows.push(infoRow('Orbital period', data.orbitalPeriod));
+  }
+  const { observerId } = systemBodies;
+  if (observerId && planetName !== observerId) {
+    const fromObserver = position.distanceTo(getHeliocentricPosition(observerId));
+    rows.push(infoRow(`Light-time from ${planetData[observerId].name}`, formatLightTime(fromObserver * AU_KM / LIGHT_SPEED_KM_S)));
+  }
+  return rows.join('');
+}
 
+// Click-selected body: a tabbed panel that stays open until closed
 function showPlanetInfo(planetName) {
   const infoPanel = document.getElementById('info-panel');
   const planetDetails = document.getElementById('planet-details');
@@ -216,117 +695,450 @@ function showPlanetInfo(planetName) {
     const data = planetData[planetName];
     planetDetails.innerHTML = `
       <div class="planet-info">
-        <div class="planet-name">${data.name}</div>
-        <div><strong>Diameter:</strong> ${data.diameter}</div>
-        <div><strong>Distance from Sun:</strong> ${data.distance}</div>
+        <div class="planet-name">${escapeHtml(data.name)}</div>
+        <div class="planet-type">${escapeHtml(data.type)}${data.parentName && data.parentId !== systemBodies.starId ? ` of ${escapeHtml(data.parentName)}` : ''}</div>
+      </div>
+      <div class="info-tabs">
+        <button class="info-tab" data-tab="physical">Physical</button>
+        <button class="info-tab" data-tab="orbit">Orbit</button>
+        <button class="info-tab" data-tab="about">About</button>
+      </div>
+      <div class="info-tab-content" data-tab="physical">
+        ${infoRow('Diameter', data.diameter)}
+        ${infoRow('Mass', data.mass)}
+        ${infoRow('Surface gravity', data.gravity)}
+        ${infoRow('Density', data.density)}
+        ${infoRow('Mean temperature', data.temperature)}
+        ${infoRow('Rotation period', data.rotation)}
+        ${data.solarDay ? infoRow('Solar day', data.solarDay) : ''}
+        ${data.moons.length ? infoRow('Moons', data.moons.join(', ')) : ''}
+      </div>
+      <div class="info-tab-content" data-tab="orbit" id="info-orbit">${getOrbitInfo(planetName)}</div>
+      <div class="info-tab-content" data-tab="about">
+        ${data.distance ? infoRow(data.distanceLabel, `${data.distance} (average)`) : ''}
+        ${data.description ? `<p>${escapeHtml(data.description)}</p>` : ''}
       </div>
     `;
+    showInfoTab(state.infoTab);
     infoPanel.style.display = 'block';
   } else {
     infoPanel.style.display = 'none';
   }
 }
 
-// Mouse interaction
-function onMouseClick(event) {
-  state.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-  state.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-  
-  state.raycaster.setFromCamera(state.mouse, camera);
-  const intersects = state.raycaster.intersectObjects(scene.children, true);
-  
-  // Only consider intersections with objects that have userData.planetName
-  const planetIntersect = intersects.find(intersect => {
-    let current = intersect.object;
-    while (current) {
-      if (current.userData.planetName) return true;
-      current = current.parent;
-    }
-    return false;
+function showInfoTab(tab) {
+  state.infoTab = tab;
+  document.querySelectorAll('#info-panel .info-tab').forEach(button => {
+    button.classList.toggle('active', button.dataset.tab === tab);
+  });
+  document.querySelectorAll('#info-panel .info-tab-content').forEach(content => {
+    content.style.display = content.dataset.tab === tab ? 'block' : 'none';
   });
+}
 
-  if (planetIntersect) {
-    // Find the planet name by traversing up the object tree
-    let planetName = null;
-    let current = planetIntersect.object;
-    while (current && !planetName) {
-      if (current.userData.planetName) {
-        planetName = current.userData.planetName;
-      }
-      current = current.parent;
-    }
-    if (planetName) {
-      state.selectedPlanet = planetName;
-      showPlanetInfo(planetName);
-      if (state.cameraMode === 'follow') {
-        // Animate camera to follow the selected planet
-        const planet = state.planets[planetName];
-        if (planet) {
-          const targetPosition = planet.getWorldPosition(new THREE.Vector3());
-          targetPosition.multiplyScalar(1.5); // Distance from planet
-          animateCameraTo(targetPosition);
-        }
-      }
-    }
+// Refresh the live orbit tab a few times a second while it is showing
+let orbitInfoAge = 0;
+function updatePlanetInfo(delta) {
+  orbitInfoAge += delta;
+  if (orbitInfoAge < 0.25 || !state.selectedPlanet || state.infoTab !== 'orbit') return;
+  orbitInfoAge = 0;
+  const orbitInfo = document.getElementById('info-orbit');
+  if (orbitInfo) orbitInfo.innerHTML = getOrbitInfo(state.selectedPlanet);
+}
+
+function closePlanetInfo() {
+  state.selectedPlanet = null;
+  showPlanetInfo(null);
+  updateBodyTreeStates();
+  updateCameraLimits();
+}
+
+// Hovered body: a small tooltip by the cursor, independent of the selected panel
+function showHoverInfo(planetName, event) {
+  const hoverPanel = document.getElementById('hover-panel');
+  const data = planetData[planetName];
+  if (!data) {
+    hideHoverInfo();
+    return;
   }
+  hoverPanel.innerHTML = `
+    <div class="planet-name">${escapeHtml(data.name)}</div>
+    <div class="planet-type">${escapeHtml(data.type)}</div>
+    ${infoRow('Diameter', data.diameter)}
+    ${data.distance ? infoRow(data.distanceLabel, data.distance) : ''}
+  `;
+  placeHoverInfo(event);
+  hoverPanel.style.display = 'block';
 }
 
-function onMouseMove(event) {
-  state.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-  state.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+function placeHoverInfo({ clientX, clientY }) {
+  const hoverPanel = document.getElementById('hover-panel');
+  hoverPanel.style.left = `${clientX + 16}px`;
+  hoverPanel.style.top = `${clientY + 16}px`;
+}
 
-  state.raycaster.setFromCamera(state.mouse, camera);
-  const intersects = state.raycaster.intersectObjects(scene.children, true);
+function hideHoverInfo() {
+  document.getElementById('hover-panel').style.display = 'none';
+}
 
-  // Only consider intersections with objects that have userData.planetName
-  const planetIntersect = intersects.find(intersect => {
-    let current = intersect.object;
-    while (current) {
-      if (current.userData.planetName) return true;
-      current = current.parent;
-    }
-    return false;
+// Pointer interaction (see setupUI). Taps pick straight away; mouse hover is picked from
+// the main loop at most every HOVER_PICK_SECONDS, which also catches bodies moving under a
+// still cursor. Touch has no hover, so a long press shows the same tooltip instead.
+const bodyPicker = getBodyPicker({ camera, element: renderer.domElement });
+const HOVER_PICK_SECONDS = 0.1;
+const SMALL_SCREEN_QUERY = '(max-width: 600px)';
+let hoverPointer = null;
+let hoverElapsed = 0;
+
+function onScenePress({ pointerType }) {
+  if (pointerType !== 'mouse') hideHoverInfo();
+}
+
+function onSceneTap({ clientX, clientY }) {
+  const planetName = bodyPicker.pick(clientX, clientY);
+  if (planetName) selectPlanet(planetName);
+}
+
+function onSceneDoubleTap({ clientX, clientY }) {
+  const planetName = bodyPicker.pick(clientX, clientY);
+  if (planetName) flyToPlanet(planetName);
+}
+
+function onSceneLongPress(point) {
+  const planetName = bodyPicker.pick(point.clientX, point.clientY);
+  if (planetName) showHoverInfo(planetName, point);
+}
+
+// Two fingers take over the camera: following would fight a pinch or pan, so the orbit
+// camera carries on around the same body from where it is. A two-finger tap hands the
+// camera back to the tour.
+function onTwoFingerGesture() {
+  if (state.cameraMode !== 'follow') return;
+  setCameraMode(state.planets[state.selectedPlanet] ? 'orbit' : 'manual', { frame: false });
+  updateButtonStates();
+}
+
+function onTwoFingerTap() {
+  if (state.cameraMode === 'auto') return;
+  setCameraMode('auto');
+  updateButtonStates();
+}
+
+// Select a body by id, from a click in the scene or on its label
+function selectPlanet(planetName) {
+  state.selectedPlanet = planetName;
+  showPlanetInfo(planetName);
+  updateBodyTreeStates();
+  updateCameraLimits();
+  // The follow camera glides over to the new body before it starts chasing it;
+  // the orbit camera flies over and locks on
+  if (state.cameraMode === 'follow' && state.planets[planetName]) {
+    chaseCameraTo(state.planets[planetName]);
+  } else if (state.cameraMode === 'orbit' && state.planets[planetName]) {
+    frameCameraOn(planetName);
+  }
+}
+
+// Radius of the body as drawn, including the current scale mode
+function getBodyRadius(planetName) {
+  const object = state.planets[planetName];
+  const body = object.userData.body ?? object;
+  return planetData[planetName].size * body.getWorldScale(new THREE.Vector3()).x;
+}
+
+// Fly in from the current viewing direction and leave the controls looking at the body
+function frameCameraOn(planetName) {
+  const object = state.planets[planetName];
+  const center = object.getWorldPosition(new THREE.Vector3());
+  const direction = camera.position.clone().sub(center).normalize();
+  // Look down on the body a little so its orbit plane stays readable
+  direction.y = Math.max(direction.y, 0.3);
+  const distance = Math.max(getBodyRadius(planetName) * 6, sceneCameraLimits.min * 2);
+  animateCameraTo({
+    object,
+    position: direction.normalize().multiplyScalar(distance),
+    target: new THREE.Vector3()
   });
+}
 
-  if (planetIntersect) {
-    // Find the planet name by traversing up the object tree
-    let planetName = null;
-    let current = planetIntersect.object;
-    while (current && !planetName) {
-      if (current.userData.planetName) {
-        planetName = current.userData.planetName;
-      }
-      current = current.parent;
-    }
-    if (planetName) {
-      showPlanetInfo(planetName);
-      return;
-    }
+// Select a body and bring it into view. The follow and orbit cameras move to it on
+// selection; the auto camera hands over to manual control
+function flyToPlanet(planetName) {
+  if (!state.planets[planetName]) return;
+  selectPlanet(planetName);
+  if (state.cameraMode === 'follow' || state.cameraMode === 'orbit') return;
+  if (state.cameraMode === 'auto') {
+    setCameraMode('manual');
+    updateButtonStates();
   }
-  // If not hovering any planet, hide the info panel
-  const infoPanel = document.getElementById('info-panel');
-  if (infoPanel) infoPanel.style.display = 'none';
+  frameCameraOn(planetName);
 }
 
-// Camera animation
-function animateCameraTo(targetPosition) {
-  const startPosition = camera.position.clone();
-  const duration = 2000; // 2 seconds
-  const startTime = Date.now();
-  
-  function animate() {
-    const elapsed = Date.now() - startTime;
-    const progress = Math.min(elapsed / duration, 1);
-    const easeProgress = 1 - Math.pow(1 - progress, 3); // Ease out cubic
-    
-    camera.position.lerpVectors(startPosition, targetPosition, easeProgress);
-    
-    if (progress < 1) {
-      requestAnimationFrame(animate);
+function onSceneHover({ clientX, clientY }) {
+  hoverPointer = { clientX, clientY };
+  // The tooltip follows the cursor between picks
+  placeHoverInfo(hoverPointer);
+}
+
+function onSceneLeave() {
+  hoverPointer = null;
+  hideHoverInfo();
+}
+
+function updateHover(delta) {
+  hoverElapsed += delta;
+  if (!hoverPointer || hoverElapsed < HOVER_PICK_SECONDS) return;
+  hoverElapsed = 0;
+  const planetName = bodyPicker.pick(hoverPointer.clientX, hoverPointer.clientY);
+  if (planetName) {
+    showHoverInfo(planetName, hoverPointer);
+  } else {
+    // Not hovering any planet: hide the tooltip, the selected body's panel stays open
+    hideHoverInfo();
+  }
+}
+
+// Camera animation: moves the camera to `position` while turning the controls' look-at
+// point to `target`. With an `object`, both are offsets from its world position, re-read
+// every frame so the camera arrives at a body that is still moving along its orbit
+function animateCameraTo({ position, target = controls.target.clone(), object = null, fov, duration = 2 }) {
+  const origin = new THREE.Vector3();
+  const endPosition = new THREE.Vector3();
+  const endTarget = new THREE.Vector3();
+  const getOrigin = () => (object ? object.getWorldPosition(origin) : origin);
+  cameraTransition.start({
+    getPosition: () => endPosition.copy(position).add(getOrigin()),
+    getTarget: () => endTarget.copy(target).add(getOrigin()),
+    fov,
+    duration
+  });
+}
+
+// Third-person chase camera spot: behind and above the planet (relative to the orbit center)
+function getChasePosition(planet, target = new THREE.Vector3()) {
+  const center = planet.getWorldPosition(new THREE.Vector3());
+  const offsetDir = center.clone().normalize();
+  const up = new THREE.Vector3(0, 1, 0);
+  const right = new THREE.Vector3().crossVectors(up, offsetDir).normalize();
+  const chaseOffset = offsetDir.clone().multiplyScalar(1.5 + (planet.scale ? planet.scale.x : 0))
+    .add(up.clone().multiplyScalar(0.7)) // above
+    .add(right.clone().multiplyScalar(0.3)); // slight side offset for 3D effect
+  return target.copy(center).add(chaseOffset);
+}
+
+// Glide to the chase position; the follow camera takes over from there
+function chaseCameraTo(planet) {
+  const position = new THREE.Vector3();
+  const target = new THREE.Vector3();
+  cameraTransition.start({
+    getPosition: () => getChasePosition(planet, position),
+    getTarget: () => planet.getWorldPosition(target)
+  });
+}
+
+// Sun -> planets -> moons, built from the system config
+function buildBodyTree() {
+  const tree = document.getElementById('body-tree');
+  function addChildren(list, parentId) {
+    Object.entries(planetData)
+      .filter(([, data]) => data.parentId === parentId)
+      .forEach(([id, data]) => {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.className = 'body-tree-item';
+        name.dataset.id = id;
+        name.textContent = data.name;
+        item.appendChild(name);
+        const children = document.createElement('ul');
+        addChildren(children, id);
+        if (children.childElementCount > 0) item.appendChild(children);
+        list.appendChild(item);
+      });
+  }
+  const root = document.createElement('ul');
+  addChildren(root, null);
+  tree.replaceChildren(root);
+}
+
+// Show bodies whose name matches, along with the bodies they orbit; returns the first match
+function filterBodyTree(query) {
+  const text = query.trim().toLowerCase();
+  let firstMatch = null;
+  document.querySelectorAll('#body-tree li').forEach(item => { item.style.display = text ? 'none' : ''; });
+  if (!text) return null;
+  document.querySelectorAll('#body-tree .body-tree-item').forEach(name => {
+    if (!planetData[name.dataset.id].name.toLowerCase().includes(text)) return;
+    firstMatch = firstMatch ?? name.dataset.id;
+    for (let item = name.closest('li'); item; item = item.parentElement.closest('li')) {
+      item.style.display = '';
     }
+  });
+  return firstMatch;
+}
+
+function updateBodyTreeStates() {
+  document.querySelectorAll('#body-tree .body-tree-item').forEach(name => {
+    name.classList.toggle('active', name.dataset.id === state.selectedPlanet);
+  });
+}
+
+// Guided tours: authored steps that drive the same state as the UI, through the same setters
+// so labels, state and scene stay in step, but without touching the saved preferences
+const GUIDED_TOUR_URL = './data/tours/inner-planets.json';
+// Audio needs a click in the page to start, so tours and links leave it alone
+const TOUR_LAYERS = Object.keys(TOGGLES).filter(name => name !== 'audio');
+const tourPlayer = getTourPlayer({ applyStep: applyGuidedStep, onChange: updateTourPlayerUI });
+
+function getTourOptions() {
+  return { bodyIds: new Set(Object.keys(planetData)), layerNames: TOUR_LAYERS, scaleModes: Object.keys(SCALE_MODES) };
+}
+
+function applyGuidedStep(step) {
+  if (step.date) setSimulationDate(new Date(step.date));
+  if (step.rate !== undefined) {
+    clock.setRate(step.rate);
+    updateRatePresetStates();
+    document.getElementById('toggle-reverse').classList.toggle('active', clock.rate < 0);
   }
-  
-  animate();
+  if (step.speed !== undefined) setSpeed(step.speed, { persist: false });
+  if (step.scaleMode) setScaleMode(step.scaleMode, { persist: false });
+  Object.entries(step.layers ?? {}).forEach(([name, visible]) => {
+    if (state[TOGGLES[name].key] !== visible) setToggle(name, visible, { persist: false });
+  });
+  if (step.cameraMode && step.cameraMode !== state.cameraMode) {
+    setCameraMode(step.cameraMode);
+    updateButtonStates();
+  }
+  if (step.target) selectPlanet(step.target);
+  // The auto and follow cameras choose their own views
+  if (step.view && (state.cameraMode === 'manual' || state.cameraMode === 'orbit')) {
+    animateCameraTo({
+      object: step.target ? state.planets[step.target] : null,
+      position: new THREE.Vector3(...step.view.position),
+      target: new THREE.Vector3(...(step.view.lookAt ?? [0, 0, 0])),
+      fov: step.view.fov,
+      duration: step.view.seconds ?? 3
+    });
+  }
+}
+
+// The current view as a step, relative to the selected body when there is one
+function getViewStep() {
+  const target = state.planets[state.selectedPlanet];
+  const origin = target ? target.getWorldPosition(new THREE.Vector3()) : new THREE.Vector3();
+  const round = value => Math.round(value * 1000) / 1000;
+  return {
+    ...(target ? { target: state.selectedPlanet } : {}),
+    cameraMode: state.cameraMode,
+    view: {
+      position: camera.position.clone().sub(origin).toArray().map(round),
+      lookAt: controls.target.clone().sub(origin).toArray().map(round),
+      fov: round(camera.fov)
+    },
+    date: clock.getDate().toISOString().replace(/\.\d+Z$/, 'Z'),
+    rate: clock.rate,
+    speed: state.speedMultiplier,
+    scaleMode: globalSystemScale ? globalSystemScale.mode : 'compressed',
+    layers: Object.fromEntries(TOUR_LAYERS.map(name => [name, state[TOGGLES[name].key]]))
+  };
+}
+
+function recordGuidedStep() {
+  const step = getViewStep();
+  tourPlayer.record({
+    title: step.target ? planetData[step.target].name : 'Overview',
+    narration: '',
+    ...step,
+    duration: 8
+  });
+}
+
+function saveGuidedTour() {
+  if (!tourPlayer.tour) return;
+  const blob = new Blob([JSON.stringify(tourPlayer.tour, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'tour.json';
+  link.click();
+  // Revoking in the same task can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(link.href));
+}
+
+function showTourStatus(text) {
+  document.getElementById('guided-tour-status').textContent = text;
+}
+
+function updateTourPlayerUI(player) {
+  const steps = player.tour ? player.tour.steps : [];
+  const step = steps[player.index];
+  document.getElementById('tour-play').textContent = player.playing ? 'Pause' : 'Play';
+  document.getElementById('tour-play').classList.toggle('active', player.playing);
+  showTourStatus(player.tour
+    ? `${player.tour.title ?? 'Tour'}: ${step ? `step ${player.index + 1} of ${steps.length}` : `${steps.length} steps`}`
+    : '');
+  const narration = document.getElementById('tour-narration');
+  narration.style.display = step && (step.title || step.narration) ? 'block' : 'none';
+  narration.querySelector('.planet-name').textContent = step?.title ?? '';
+  narration.querySelector('p').textContent = step?.narration ?? '';
+}
+
+// Play loads the bundled tour the first time
+function toggleGuidedTour() {
+  if (tourPlayer.playing) {
+    tourPlayer.pause();
+  } else if (tourPlayer.tour) {
+    tourPlayer.play();
+  } else {
+    showTourStatus('Loading tour...');
+    loadGuidedTour(GUIDED_TOUR_URL, getTourOptions()).then((tour) => {
+      tourPlayer.load(tour);
+      tourPlayer.play();
+    }, (err) => {
+      console.warn(err);
+      showTourStatus(err.message);
+    });
+  }
+}
+
+function openGuidedTour(file) {
+  file.text().then(text => parseGuidedTour(text, file.name, getTourOptions())).then((tour) => {
+    tourPlayer.load(tour);
+    tourPlayer.goTo(0);
+  }, (err) => {
+    console.warn(err);
+    showTourStatus(err.message);
+  });
+}
+
+// Shareable links: Copy Link puts the current view in a URL hash, and a link opened later (or
+// pasted into this tab) is applied like a tour step. The address bar itself is left alone so a
+// reload starts from the saved preferences rather than an old view.
+function applyViewHash() {
+  const step = decodeViewHash(window.location.hash, TOUR_LAYERS);
+  if (!step) return;
+  const errors = validateGuidedTour({ steps: [step] }, getTourOptions());
+  if (errors.length > 0) {
+    console.warn(`Ignoring link: ${errors.join('; ')}`);
+    return;
+  }
+  applyGuidedStep({ ...step, view: step.view && { ...step.view, seconds: 1.5 } });
+}
+
+function copyViewLink() {
+  const url = new URL(window.location.href);
+  url.hash = encodeViewHash(getViewStep());
+  const status = document.getElementById('copy-link-status');
+  const showUrl = () => {
+    status.textContent = `Copy this URL to share the view: ${url.href}`;
+  };
+  // No clipboard API outside secure contexts (plain http, some embedded browsers)
+  if (!navigator.clipboard?.writeText) {
+    showUrl();
+    return;
+  }
+  navigator.clipboard.writeText(url.href).then(() => {
+    status.textContent = 'Link copied';
+  }, showUrl);
 }
 
 // Enhanced particle system
@@ -334,6 +1146,7 @@ function createParticleSystem() {
   const particleCount = 1000;
   const particles = new THREE.BufferGeometry();
   const positions = new Float32Array(particleCount * 3);
+  const baseHeights = new Float32Array(particleCount);
   const colors = new Float32Array(particleCount * 3);
   const sizes = new Float32Array(particleCount);
   
@@ -348,6 +1161,7 @@ function createParticleSystem() {
     positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
     positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
     positions[i3 + 2] = radius * Math.cos(phi);
+    baseHeights[i] = positions[i3 + 1];
     
     // Random colors
     const color = new THREE.Color();
@@ -373,11 +1187,19 @@ function createParticleSystem() {
   
   const particleSystem = new THREE.Points(particles, particleMaterial);
   
-  particleSystem.userData.update = (t) => {
+  // Graphics quality: only the first share of the particles is drawn and animated
+  let drawCount = particleCount;
+  particleSystem.userData.setDensity = (density) => {
+    drawCount = Math.round(particleCount * density);
+    particles.setDrawRange(0, drawCount);
+  };
+  
+  // Bob each particle about its starting height, computed from time rather than accumulated per frame
+  particleSystem.userData.update = (t, delta) => {
     const positions = particles.attributes.position.array;
-    for (let i = 0; i < particleCount; i++) {
+    for (let i = 0; i < drawCount; i++) {
       const i3 = i * 3;
-      positions[i3 + 1] += Math.sin(t + i) * 0.001;
+      positions[i3 + 1] = baseHeights[i] + Math.sin(t + i) * 0.3;
     }
     particles.attributes.position.needsUpdate = true;
   };
@@ -396,148 +1218,183 @@ function setPlanetNameRecursive(object, planetName) {
 // Store references to particle systems and starfield for toggling
 let globalParticleSystem = null;
 let globalStarfield = null;
+let globalSkyOverlay = null;
+let globalBodyLabels = null;
+let globalKuiperBelt = null;
+let globalSystemScale = null;
+let globalCameraTour = null;
+
+// Show or hide every body of a config type (with its orbit ring)
+function setBodyTypeVisible(type, visible) {
+  Object.entries(state.planets).forEach(([name, planet]) => {
+    if (planetData[name]?.type !== type) return;
+    planet.visible = visible;
+    if (planet.userData.orbitRing) planet.userData.orbitRing.visible = visible;
+  });
+}
 
 function initScene(data) {
-  const { objs } = data;
+  const { objs, config, starCatalog, constellations } = data;
+  setPlanetData(config);
   const solarSystem = new THREE.Group();
-  solarSystem.userData.update = (t) => {
+  // Every update callback receives (time, delta): the animation time and how much of it passed
+  // since the last frame. Motion is computed from these, never by a fixed step per call
+  solarSystem.userData.update = (t, delta) => {
     solarSystem.children.forEach((child) => {
-      child.userData.update?.(t);
+      child.userData.update?.(t, delta);
     });
   };
   scene.add(solarSystem);
 
+  // Trace a body's orbital ellipse at the same scale the body moves on
+  function getOrbitRing(planetObj, options) {
+    const { elements, toScene } = planetObj.userData;
+    const points = getOrbitPoints(elements, 256).map(toScene);
+    return getRing({ points, ...options });
+  }
+
+  // Retrace a ring after the scale it was drawn at has changed
+  function updateOrbitRing(planetObj) {
+    const { elements, toScene, orbitRing } = planetObj.userData;
+    const points = getOrbitPoints(elements, 256).map(toScene);
+    orbitRing.geometry.setPositions(points.flatMap(p => [p.x, p.y, p.z]));
+    orbitRing.computeLineDistances();
+  }
+
   // Helper to add a planet and its orbit ring
-  function addPlanetWithRing(planetObj, distance, planetName) {
-    // Add orbit ring at the same radius as the planet
-    const ring = getRing({ distance, width: 1.2 });
+  function addPlanetWithRing(planetObj, ringOptions = {}) {
+    const ring = getOrbitRing(planetObj, { width: 1.2, ...ringOptions });
+    planetObj.userData.orbitRing = ring;
     solarSystem.add(ring);
-    // Set planetName recursively on all children
-    setPlanetNameRecursive(planetObj, planetName);
     solarSystem.add(planetObj);
   }
 
+  // Bodies without an artistic distance are placed by interpolating between the planets
+  const star = config.bodies.find(body => !body.parent);
+  const compressedScale = getCompressedScale(config.bodies
+    .filter(body => body.parent === star.id && body.orbit.distance)
+    .map(body => ({ au: body.orbit.elements.a, distance: body.orbit.distance })));
+  // Scale modes work on top of the compressed layout; one scene unit is the Sun's radius in true sizes
+  const systemScale = getSystemScale({
+    compressedScale,
+    kmPerUnit: star.physical.radiusKm / star.size,
+    mode: SCALE_MODES[preferredScaleMode] ? preferredScaleMode : 'compressed'
+  });
+  globalSystemScale = systemScale;
+  // Bodies orbiting the Sun move with the scale mode; satellites keep their distance from the parent
+  function getScaleRadius(body) {
+    if (body.parent !== star.id) return null;
+    const ratio = body.orbit.distance / body.orbit.elements.a;
+    return body.orbit.distance
+      ? (au) => systemScale.radius(au, au * ratio)
+      : (au) => systemScale.radius(au);
+  }
+  const resizableBodies = [];
+
+  // Build a body from its config entry, creating the satellites that ride along with it first
+  function createBody(body) {
+    if (body.type === 'Comet') {
+      const comet = getComet({
+        elements: body.orbit.elements,
+        clock,
+        scaleRadius: getScaleRadius(body),
+        size: body.size,
+        planetName: body.id
+      });
+      state.planets[body.id] = comet;
+      return comet;
+    }
+    const childBodies = config.bodies.filter(child => child.parent === body.id);
+    const children = childBodies.map(createBody);
+    const { textures = {} } = body;
+    // Satellite elements may be given relative to the parent's equator rather than the ecliptic
+    let elements = body.orbit.elements;
+    if (body.orbit.frame === 'equator') {
+      const parent = config.bodies.find(other => other.id === body.parent);
+      elements = { ...elements, plane: getEquatorPlane(parent.physical.pole) };
+    }
+    const planet = getPlanet({
+      children,
+      size: body.size,
+      type: body.type,
+      tint: body.tint,
+      distance: body.orbit.distance,
+      elements,
+      scaleRadius: getScaleRadius(body),
+      clock,
+      img: textures.color,
+      normalMap: textures.normal,
+      specularMap: textures.specular,
+      cloudMap: textures.clouds,
+      planetName: body.id,
+      pole: body.physical?.pole ?? null,
+      rotationPeriod: body.physical?.rotationPeriod ?? 0,
+      atmosphere: Boolean(body.atmosphere),
+      atmosphereColor: body.atmosphere?.color,
+      rings: body.rings ?? null
+    });
+    // Satellite orbits ride along with the parent
+    children.forEach((child) => {
+      planet.add(getOrbitRing(child, { lightness: 0.6, width: 0.6 }));
+    });
+    if (body.physical?.radiusKm) {
+      resizableBodies.push({ object: planet.userData.body, radiusKm: body.physical.radiusKm, size: body.size });
+    }
+    state.planets[body.id] = planet;
+    return planet;
+  }
+
   // Enhanced sun with more dramatic effects
-  const sun = getSun();
-  setPlanetNameRecursive(sun, 'sun');
+  const sun = getSun({
+    clock,
+    pole: star.physical?.pole ?? null,
+    rotationPeriod: star.physical?.rotationPeriod ?? 0
+  });
+  setPlanetNameRecursive(sun, star.id);
   solarSystem.add(sun);
-  state.planets.sun = sun;
-
-  // Planets with enhanced materials and effects
-  const mercury = getPlanet({ 
-    size: 0.1, 
-    distance: 1.25, 
-    img: 'mercury_color.jpg',
-    normalMap: 'mercury_normal.jpg',
-    planetName: 'mercury',
-    atmosphere: false
-  });
-  addPlanetWithRing(mercury, 1.25, 'mercury');
-  state.planets.mercury = mercury;
-
-  const venus = getPlanet({ 
-    size: 0.2, 
-    distance: 1.65, 
-    img: 'venus_color.jpg',
-    normalMap: 'venus_normal.jpg',
-    planetName: 'venus',
-    atmosphere: true,
-    atmosphereColor: 0xffaa44
-  });
-  addPlanetWithRing(venus, 1.65, 'venus');
-  state.planets.venus = venus;
-
-  const moon = getPlanet({ size: 0.075, distance: 0.4, img: 'moon_color.jpg', normalMap: 'moon_normal.jpg', planetName: 'moon' });
-  const earth = getPlanet({ 
-    children: [moon], 
-    size: 0.225, 
-    distance: 2.0, 
-    img: 'earth_color.jpg',
-    normalMap: 'earth_normal.jpg',
-    specularMap: 'earth_specular.jpg',
-    planetName: 'earth',
-    atmosphere: true,
-    atmosphereColor: 0x88aaff,
-    cloudMap: 'earth_clouds.png'
-  });
-  addPlanetWithRing(earth, 2.0, 'earth');
-  state.planets.earth = earth;
-  state.planets.moon = moon;
-
-  const mars = getPlanet({ 
-    size: 0.15, 
-    distance: 2.25, 
-    img: 'mars_color.jpg',
-    normalMap: 'mars_normal.jpg',
-    planetName: 'mars',
-    atmosphere: true,
-    atmosphereColor: 0xff6644
-  });
-  addPlanetWithRing(mars, 2.25, 'mars');
-  state.planets.mars = mars;
+  state.planets[star.id] = sun;
+
+  // Planets with enhanced materials and effects, each with its orbit ring
+  // Dwarf planets and comets get dimmer orbit rings and can be toggled from the UI
+  const ringStyles = {
+    'Dwarf Planet': { hue: 0.08, lightness: 0.6, width: 0.8 },
+    'Comet': { hue: 0.55, lightness: 0.6, width: 0.8 }
+  };
+  config.bodies
+    .filter(body => body.parent === star.id)
+    .forEach(body => addPlanetWithRing(createBody(body), ringStyles[body.type]));
+  // Clicks and hover test proxy spheres around these rather than the whole scene
+  Object.entries(state.planets).forEach(([id, object]) => {
+    bodyPicker.add(id, object, () => getBodyRadius(id));
+  });
 
   const asteroidBelt = getAsteroidBelt(objs);
   solarSystem.add(asteroidBelt);
+  // Belts are drawn in compressed units and scaled as a whole about their middle
+  const asteroidBeltRadius = { au: 2.7, distance: 2.6 };
 
-  const jupiter = getPlanet({ 
-    size: 0.4, 
-    distance: 2.75, 
-    img: 'jupiter_color.jpg',
-    planetName: 'jupiter',
-    atmosphere: true,
-    atmosphereColor: 0xffaa66,
-    cloudMap: 'jupiter_clouds.png'
-  });
-  addPlanetWithRing(jupiter, 2.75, 'jupiter');
-  state.planets.jupiter = jupiter;
-
-  // Enhanced Saturn with realistic ring texture
-  const saturn = getPlanet({ 
-    size: 0.35, 
-    distance: 3.25, 
-    img: 'saturn_color.jpg',
-    planetName: 'saturn',
-    atmosphere: true,
-    atmosphereColor: 0xffdd88,
-    rings: [
-      { innerRadius: 0.45, outerRadius: 0.85, texture: 'saturn_ring.png', opacity: 1.0 }
-    ],
-    cloudMap: 'saturn_clouds.png'
-  });
-  addPlanetWithRing(saturn, 3.25, 'saturn');
-  state.planets.saturn = saturn;
-
-  // Uranus with realistic ring texture
-  const uranus = getPlanet({ 
-    size: 0.3, 
-    distance: 3.75, 
-    img: 'uranus_color.jpg',
-    planetName: 'uranus',
-    atmosphere: true,
-    atmosphereColor: 0x88aaff,
-    rings: [
-      { innerRadius: 0.35, outerRadius: 0.45, texture: 'uranus_ring.png', opacity: 0.7 }
-    ]
-  });
-  addPlanetWithRing(uranus, 3.75, 'uranus');
-  state.planets.uranus = uranus;
-
-  const neptune = getPlanet({ 
-    size: 0.3, 
-    distance: 4.25, 
-    img: 'neptune_color.jpg',
-    planetName: 'neptune',
-    atmosphere: true,
-    atmosphereColor: 0x4488ff
-  });
-  addPlanetWithRing(neptune, 4.25, 'neptune');
-  state.planets.neptune = neptune;
-
-  // Enhanced starfield
-  const starfield = getStarfield({ numStars: 1000, size: 0.35 });
+  // Kuiper belt, roughly 30-50 AU on the same scale as the dwarf planets out there
+  const kuiperBelt = getKuiperBelt(objs, {
+    innerRadius: compressedScale(32),
+    outerRadius: compressedScale(50)
+  });
+  solarSystem.add(kuiperBelt);
+  globalKuiperBelt = kuiperBelt;
+  const kuiperBeltRadius = { au: 40, distance: compressedScale(40) };
+
+  // Enhanced starfield, showing the real sky when the bright-star catalog loaded
+  const starfield = getStarfield({ numStars: 1000, size: 4, catalog: starCatalog?.stars });
   scene.add(starfield);
   globalStarfield = starfield;
 
+  // Constellations, sky circles and star names, hidden until switched on
+  const skyOverlay = getSkyOverlay({
+    catalog: starCatalog?.stars ?? [],
+    constellations: constellations?.constellations ?? []
+  });
+  scene.add(skyOverlay);
+  globalSkyOverlay = skyOverlay;
+
   // Enhanced lighting
   const dirLight = new THREE.DirectionalLight(0x0099ff, 2);
   dirLight.position.set(0, 1, 0);
@@ -576,68 +1433,308 @@ function initScene(data) {
   scene.add(particleSystem);
   globalParticleSystem = particleSystem;
 
+  // Name labels for every body; the Sun wins overlaps, then planets, small bodies and moons
+  const bodyLabels = getBodyLabels({
+    container: document.getElementById('labels'),
+    camera,
+    onSelect: selectPlanet
+  });
+  const labelPriority = { 'Star': 4, 'Dwarf Planet': 2, 'Comet': 2, 'Natural Satellite': 1 };
+  config.bodies.forEach((body) => {
+    const object = state.planets[body.id];
+    const { elements } = object.userData;
+    const satellite = body.parent && body.parent !== star.id;
+    bodyLabels.add({
+      id: body.id,
+      name: body.name,
+      object,
+      priority: labelPriority[body.type] ?? 3,
+      // Planets: distance from the Sun; moons: distance from their planet
+      getDetails: elements ? () => {
+        const { distance, speed } = getOrbitalState(elements, clock.jd);
+        const distanceText = satellite
+          ? `${Math.round(distance * AU_KM).toLocaleString('en-US')} km`
+          : `${distance.toFixed(2)} AU`;
+        return `${distanceText} · ${(speed * AU_KM / 86400).toFixed(1)} km/s`;
+      } : null
+    });
+  });
+  bodyLabels.setVisible(state.labelsEnabled);
+  bodyLabels.setShowDetails(state.labelDetailsEnabled);
+  globalBodyLabels = bodyLabels;
+
+  // Lay out everything that depends on the scale mode: orbits, body sizes, belts,
+  // and the backdrop, zoom limits and far plane, which grow with the scene
+  const heliocentricBodies = config.bodies
+    .filter(body => body.parent === star.id)
+    .map(body => state.planets[body.id]);
+  const backdrop = [starfield, skyOverlay, nebula, anotherNebula, particleSystem];
+  // The sky is at infinity: stars and the overlay travel with the camera, so figures keep
+  // their shape and stay around the viewer however far it zooms out
+  const celestialSphere = [starfield, skyOverlay];
+  function applySystemScale() {
+    heliocentricBodies.forEach(updateOrbitRing);
+    resizableBodies.forEach(({ object, radiusKm, size }) => {
+      object.scale.setScalar(systemScale.sizeFactor(radiusKm, size));
+    });
+    [[asteroidBelt, asteroidBeltRadius], [kuiperBelt, kuiperBeltRadius]].forEach(([belt, { au, distance }]) => {
+      belt.scale.setScalar(systemScale.radius(au, distance) / distance);
+    });
+    const extent = systemScale.extentFactor();
+    backdrop.forEach(object => object.scale.setScalar(extent));
+    sceneCameraLimits.max = 40 * extent;
+    // True sizes make the planets tiny, so allow zooming in much closer
+    sceneCameraLimits.min = THREE.MathUtils.lerp(0.2, 0.02, systemScale.weights['true-size']);
+    updateCameraLimits();
+    camera.far = 1000 * extent;
+    camera.updateProjectionMatrix();
+  }
+  applySystemScale();
+
+  // Cinematic tour for the auto camera; the config can choose the stops and timings.
+  // Without one it visits the star and the bodies orbiting it, leaving out the small bodies
+  const tourConfig = config.tour ?? {
+    stops: [star, ...config.bodies.filter(body => body.parent === star.id && !['Comet', 'Dwarf Planet'].includes(body.type))]
+      .map(body => ({ id: body.id }))
+  };
+  const tourCaption = document.getElementById('tour-caption');
+  const cameraTour = getCameraTour({
+    camera,
+    controls,
+    transition: cameraTransition,
+    // Skip bodies that are switched off
+    getObject: id => (state.planets[id]?.visible ? state.planets[id] : null),
+    getDistance: id => Math.max(getBodyRadius(id) * 8, sceneCameraLimits.min * 3),
+    stops: tourConfig.stops,
+    flySeconds: tourConfig.flySeconds,
+    orbitSeconds: tourConfig.orbitSeconds,
+    idleSeconds: tourConfig.idleSeconds,
+    onStop: (id) => {
+      if (id) {
+        tourCaption.querySelector('.planet-name').textContent = planetData[id].name;
+        tourCaption.querySelector('.planet-type').textContent = planetData[id].type;
+      }
+      tourCaption.classList.toggle('visible', Boolean(id));
+    }
+  });
+  globalCameraTour = cameraTour;
+  if (state.cameraMode === 'auto') cameraTour.start();
+
   // Animation loop
   const cameraDistance = 5;
+  let lastFrameTime = null;
+  let time = 0;
   function animate(t = 0) {
-    const time = t * 0.0002 * state.speedMultiplier;
     requestAnimationFrame(animate);
+    // Integrate elapsed real time; clamp so a backgrounded tab doesn't leap ahead on return
+    const delta = lastFrameTime === null ? 0 : Math.min((t - lastFrameTime) / 1000, 0.1);
+    lastFrameTime = t;
+    const timeDelta = delta * 0.2;
+    time += timeDelta;
+    clock.tick(delta * state.speedMultiplier);
+    updateDateReadout();
+    if (systemScale.update(delta)) applySystemScale();
+    if (state.quality === 'auto') adaptiveQuality.update(delta);
     
-    solarSystem.userData.update(time);
-    if (globalParticleSystem) globalParticleSystem.userData.update?.(time);
+    solarSystem.userData.update(time, timeDelta);
+    backdrop.forEach(object => object.userData.update?.(time, timeDelta));
     
-    // Camera controls
-    if (state.cameraMode === 'auto') {
-      camera.lookAt(0, 0, 0);
+    // Camera controls: a running transition steers the camera, then the chosen mode takes over
+    if (cameraTransition.update(delta)) {
+      // Nothing else moves the camera this frame; the orbit lock restarts once it is done
+      orbitLockPosition = null;
+    } else if (state.cameraMode === 'auto') {
+      // While the tour is paused the user looks around with the controls
+      if (!cameraTour.update(delta)) controls.update();
     } else if (state.cameraMode === 'manual') {
       controls.update();
+    } else if (state.cameraMode === 'orbit') {
+      updateOrbitLock();
+      controls.update();
     } else if (state.cameraMode === 'follow' && state.selectedPlanet && state.planets[state.selectedPlanet]) {
       // Third-person chase camera: follow behind and above the planet
       const planet = state.planets[state.selectedPlanet];
-      const target = planet.getWorldPosition(new THREE.Vector3());
-      // Offset: behind and above the planet (relative to orbit center)
-      const offsetDir = target.clone().normalize();
-      const up = new THREE.Vector3(0, 1, 0);
-      const right = new THREE.Vector3().crossVectors(up, offsetDir).normalize();
-      const chaseOffset = offsetDir.clone().multiplyScalar(1.5 + (planet.scale ? planet.scale.x : 0))
-        .add(up.clone().multiplyScalar(0.7)) // above
-        .add(right.clone().multiplyScalar(0.3)); // slight side offset for 3D effect
-      const desiredCamPos = target.clone().add(chaseOffset);
-      camera.position.lerp(desiredCamPos, 0.1);
-      camera.lookAt(target);
+      planet.getWorldPosition(controls.target);
+      // Close 10% of the gap per 60 Hz frame, scaled to the actual frame time
+      camera.position.lerp(getChasePosition(planet), 1 - Math.pow(0.9, delta * 60));
+      camera.lookAt(controls.target);
     }
     
+    celestialSphere.forEach(object => object.position.copy(camera.position));
+    bodyLabels.update({ selectedId: state.selectedPlanet, delta });
+    updatePlanetInfo(delta);
+    updateHover(delta);
+    tourPlayer.update(delta);
+
     // Render with post-processing
     composer.render();
   }
 
   animate();
   
-  // Hide loading screen
-  document.getElementById('loading').style.display = 'none';
+  // Bring the scene in line with the restored toggles and graphics quality
+  Object.values(TOGGLES).forEach(toggle => toggle.apply(state[toggle.key]));
+  applyQuality(state.quality === 'auto' ? adaptiveQuality.level : state.quality);
   
   // Setup UI
   setupUI();
 }
 
-// Load asteroid models
+// Everything the scene needs before it can be built. Each asset is loaded once;
+// a retry only requests what failed last time.
+const CONFIG_URL = './data/solar-system.json';
+const MANIFEST_URL = './textures/manifest.json';
+const STAR_CATALOG_URL = './data/bright-stars.json';
+const CONSTELLATIONS_URL = './data/constellations.json';
+// Placeholder item that keeps the manager busy until the scene has requested all its textures
+const SCENE_ITEM = 'scene';
 const sceneData = {
   objs: [],
+  config: null,
+  starCatalog: null,
+  constellations: null,
 };
-const manager = new THREE.LoadingManager();
-manager.onLoad = () => initScene(sceneData);
-const loader = new OBJLoader(manager);
+const optionalDataRequested = new Set();
+
+// Data the scene can do without (the sky falls back to random stars): requested once,
+// and a failure is only logged
+function loadOptionalData(url, key) {
+  optionalDataRequested.add(url);
+  return trackLoad(url, () => fetch(url).then((response) => {
+    if (!response.ok) throw new Error(`Could not load "${url}": ${response.status} ${response.statusText}`);
+    return response.json();
+  })).then((data) => {
+    sceneData[key] = data;
+  }, (err) => {
+    console.warn(err);
+  });
+}
+const rockModels = {};
+let textureManifestLoaded = false;
+let sceneBuilt = false;
+const loader = new OBJLoader(loadingManager);
 const objs = ['Rock1', 'Rock2', 'Rock3'];
-objs.forEach((name) => {
-  let path = `./rocks/${name}.obj`;
-  loader.load(path, (obj) => {
+
+function loadAsteroidModel(name) {
+  return loader.loadAsync(`./rocks/${name}.obj`).then((obj) => {
+    const meshes = [];
     obj.traverse((child) => {
       if (child.isMesh) {
-        sceneData.objs.push(child);
+        meshes.push(child);
       }
     });
+    rockModels[name] = meshes;
+  });
+}
+
+function loadRequiredAssets() {
+  const jobs = [];
+  if (!sceneData.config) {
+    jobs.push(trackLoad(CONFIG_URL, () => loadSystemConfig(CONFIG_URL)).then((config) => {
+      sceneData.config = config;
+    }));
+  }
+  if (!textureManifestLoaded) {
+    jobs.push(trackLoad(MANIFEST_URL, () => loadTextureManifest(MANIFEST_URL)).then(() => {
+      textureManifestLoaded = true;
+    }));
+  }
+  objs.filter(name => !rockModels[name]).forEach(name => jobs.push(loadAsteroidModel(name)));
+  [[STAR_CATALOG_URL, 'starCatalog'], [CONSTELLATIONS_URL, 'constellations']]
+    .filter(([url]) => !optionalDataRequested.has(url))
+    .forEach(([url, key]) => jobs.push(loadOptionalData(url, key)));
+  return Promise.allSettled(jobs).then((results) => {
+    const errors = results.filter(result => result.status === 'rejected').map(result => result.reason);
+    if (errors.length > 0) throw errors;
   });
+}
+
+// Loading overlay: progress bar, a status line per finished item and an error state with retry
+const failedItems = new Set();
+
+function addLoadingItem(url, status) {
+  const item = document.createElement('li');
+  item.className = status;
+  const label = { loaded: 'OK', missing: 'missing', failed: 'failed' }[status];
+  item.textContent = `${url.replace(/^\.\//, '')} - ${label}`;
+  const list = document.getElementById('loading-items');
+  list.appendChild(item);
+  list.scrollTop = list.scrollHeight;
+}
+
+loadingManager.onProgress = (url, itemsLoaded, itemsTotal) => {
+  document.getElementById('loading-bar-fill').style.width = `${(itemsLoaded / itemsTotal) * 100}%`;
+  document.getElementById('loading-count').textContent = `${itemsLoaded} / ${itemsTotal}`;
+  if (url === SCENE_ITEM) return;
+  if (failedItems.has(url)) {
+    // Textures have fallbacks, so a missing one is not fatal
+    addLoadingItem(url, url.startsWith('./textures/') && url !== MANIFEST_URL ? 'missing' : 'failed');
+  } else {
+    addLoadingItem(url, 'loaded');
+  }
+};
+
+loadingManager.onError = (url) => {
+  failedItems.add(url);
+};
+
+loadingManager.onLoad = () => {
+  if (sceneBuilt) {
+    document.getElementById('loading').style.display = 'none';
+  }
+};
+
+function showLoadingError(reason) {
+  const errors = [].concat(reason);
+  errors.forEach(error => console.error(error));
+  const loading = document.getElementById('loading');
+  loading.classList.add('error');
+  document.getElementById('loading-title').textContent = 'Could not start the simulation';
+  document.getElementById('loading-error-details').textContent = errors.map(error => error.message).join('\n\n');
+}
+
+function startLoading() {
+  document.getElementById('loading-title').textContent = 'Loading Solar System...';
+  loadingManager.itemStart(SCENE_ITEM);
+  loadRequiredAssets()
+    .then(() => {
+      sceneData.objs = objs.flatMap(name => rockModels[name]);
+      initScene(sceneData);
+      sceneBuilt = true;
+      applyViewHash();
+      return texturesSettled();
+    })
+    .catch(showLoadingError)
+    .finally(() => loadingManager.itemEnd(SCENE_ITEM));
+}
+
+document.getElementById('loading-retry').addEventListener('click', () => {
+  document.getElementById('loading').classList.remove('error');
+  failedItems.clear();
+  startLoading();
 });
 
+// List textures the resolver could not find, in the console and in the UI panel
+function showTextureDiagnostic({ id, role, tried, resolved, placeholder }) {
+  const container = document.getElementById('asset-diagnostics');
+  const list = document.getElementById('asset-diagnostics-list');
+  const item = document.createElement('li');
+  const name = planetData[id]?.name ?? id;
+  if (resolved) {
+    item.textContent = `${name} ${role}: using fallback ${resolved}`;
+  } else {
+    item.textContent = `${name} ${role}: missing ${tried[0] ?? ''}${placeholder ? ' (placeholder)' : ''}`;
+    item.classList.add('missing');
+  }
+  item.title = `Tried: ${tried.join(', ')}`;
+  list.appendChild(item);
+  container.style.display = 'block';
+  document.getElementById('asset-diagnostics-count').textContent = list.children.length;
+}
+
+onTextureDiagnostic(showTextureDiagnostic);
+startLoading();
+
 // Handle window resize
 function handleWindowResize() {
   const w = window.innerWidth;
@@ -650,7 +1747,6 @@ function handleWindowResize() {
   composer.setSize(w, h);
   
   // Update FXAA
-  fxaaPass.material.uniforms['resolution'].value.x = 1 / (w * renderer.getPixelRatio());
-  fxaaPass.material.uniforms['resolution'].value.y = 1 / (h * renderer.getPixelRatio());
+  updateFxaaResolution();
 }
 window.addEventListener('resize', handleWindowResize, false);
\ No newline at end of file
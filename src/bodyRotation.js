@@ -0,0 +1,21 @@
+import * as THREE from 'three';
+import { J2000, getEquatorialDirection } from './keplerOrbit.js';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Orientation that tilts a body's local y axis onto its north pole (IAU right ascension/declination),
+// so anything lying in the local xz plane, such as rings, sits on the equator
+function getPoleQuaternion(pole, target = new THREE.Quaternion()) {
+    if (!pole) return target.identity();
+    return target.setFromUnitVectors(UP, getEquatorialDirection(pole));
+}
+
+// Rotation about the pole at a Julian date. `rotationPeriod` is the sidereal period in hours,
+// negative for retrograde rotation (Venus, Uranus, Pluto); without one the body does not turn
+function getSpinAngle(rotationPeriod, jd) {
+    if (!rotationPeriod) return 0;
+    const turns = (jd - J2000) * 24 / rotationPeriod;
+    return (turns - Math.floor(turns)) * Math.PI * 2;
+}
+
+export { getPoleQuaternion, getSpinAngle };
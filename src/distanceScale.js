@@ -0,0 +1,102 @@
+// Maps a heliocentric distance in AU to scene units.
+// The compressed scale is piecewise linear through anchor pairs (usually each planet's
+// semi-major axis and artistic distance) and extrapolates with the slope of the end
+// segments, so bodies without an artistic distance of their own land between the planets.
+function getCompressedScale(anchors) {
+    const points = [...anchors].sort((p, q) => p.au - q.au);
+    if (points.length < 2) {
+        const ratio = points.length ? points[0].distance / points[0].au : 1;
+        return (au) => au * ratio;
+    }
+    return (au) => {
+        let k = 0;
+        while (k < points.length - 2 && au > points[k + 1].au) k += 1;
+        const p = points[k];
+        const q = points[k + 1];
+        return p.distance + (au - p.au) * (q.distance - p.distance) / (q.au - p.au);
+    };
+}
+
+// Scene units per AU in the linear true-distance mode
+const UNITS_PER_AU = 4;
+
+// Every mode maps a heliocentric distance to scene units, given the body's compressed
+// (artistic) distance. `trueSizes` draws bodies at their real radius relative to the Sun.
+const SCALE_MODES = {
+    compressed: {
+        label: 'Compressed',
+        note: 'Distances compressed, sizes exaggerated',
+        distance: (au, compressed) => compressed
+    },
+    log: {
+        label: 'Log AU',
+        note: 'True distances on a logarithmic AU scale, sizes exaggerated',
+        distance: (au) => 1 + 3 * Math.log10(1 + au / 0.2)
+    },
+    linear: {
+        label: 'Linear AU',
+        note: `True distances at ${UNITS_PER_AU} units per AU, sizes exaggerated`,
+        distance: (au) => au * UNITS_PER_AU
+    },
+    'true-size': {
+        label: 'True Sizes',
+        note: 'Sizes to scale with the Sun, distances compressed',
+        distance: (au, compressed) => compressed,
+        trueSizes: true
+    }
+};
+
+// Blends between scale modes. Each mode has a weight that eases toward 1 for the selected
+// mode and 0 for the rest, so switching mid-transition never makes anything jump.
+// `kmPerUnit` is the real size of one scene unit for true sizes (the Sun's radius).
+function getSystemScale({ compressedScale, kmPerUnit, mode = 'compressed', transitionRate = 3 }) {
+    const weights = Object.fromEntries(Object.keys(SCALE_MODES).map(name => [name, name === mode ? 1 : 0]));
+    const blend = (valueOf) => Object.entries(weights)
+        .reduce((sum, [name, weight]) => (weight > 0 ? sum + weight * valueOf(SCALE_MODES[name]) : sum), 0);
+
+    const systemScale = {
+        mode,
+        weights,
+        transitioning: false,
+        setMode(name) {
+            if (!SCALE_MODES[name]) throw new Error(`Unknown scale mode "${name}"`);
+            systemScale.mode = name;
+            systemScale.transitioning = true;
+        },
+        // Advances the transition; returns true when the scale changed this frame
+        update(delta) {
+            if (!systemScale.transitioning) return false;
+            const k = 1 - Math.exp(-delta * transitionRate);
+            let settled = true;
+            Object.keys(weights).forEach((name) => {
+                const target = name === systemScale.mode ? 1 : 0;
+                weights[name] += (target - weights[name]) * k;
+                if (Math.abs(target - weights[name]) > 1e-3) settled = false;
+            });
+            if (settled) {
+                Object.keys(weights).forEach((name) => { weights[name] = name === systemScale.mode ? 1 : 0; });
+                systemScale.transitioning = false;
+            }
+            return true;
+        },
+        // Scene distance of a heliocentric body `au` from the Sun; `compressed` defaults to the shared compressed scale
+        radius(au, compressed = compressedScale(au)) {
+            return blend(scaleMode => scaleMode.distance(au, compressed));
+        },
+        // Factor applied to a body drawn at `size` scene units whose real radius is `radiusKm`.
+        // Blended geometrically so shrinking by a factor of 40 looks even throughout
+        sizeFactor(radiusKm, size) {
+            if (!radiusKm) return 1;
+            const trueFactor = Math.log(radiusKm / kmPerUnit / size);
+            return Math.exp(blend(scaleMode => (scaleMode.trueSizes ? trueFactor : 0)));
+        },
+        // How much larger the scene is than in the compressed mode, measured at 100 AU,
+        // for the backdrop, the far plane and the zoom limit
+        extentFactor() {
+            return Math.max(1, systemScale.radius(100) / compressedScale(100));
+        }
+    };
+    return systemScale;
+}
+
+export { getCompressedScale, getSystemScale, SCALE_MODES };
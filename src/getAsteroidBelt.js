@@ -1,12 +1,12 @@
 import * as THREE from 'three';
 
-function getInstanced({ distance, mesh, size, index = 0 }) {
-    const numObjs = 50 + Math.floor(Math.random() * 50);
+function getInstanced({ distance, mesh, size, index = 0, count = 50 + Math.floor(Math.random() * 50), spread = 0.2, thickness = 0.1, color = 0x666666, rate = -0.0003 }) {
+    const numObjs = count;
     const instaMesh = new THREE.InstancedMesh(mesh.geometry, mesh.material, numObjs);
     const matrix = new THREE.Matrix4();
     
     const asteroidMaterial = new THREE.MeshStandardMaterial({
-        color: 0x666666,
+        color,
         roughness: 0.9,
         metalness: 0.1,
         emissive: 0x111111,
@@ -16,11 +16,11 @@ function getInstanced({ distance, mesh, size, index = 0 }) {
     const enhancedInstaMesh = new THREE.InstancedMesh(mesh.geometry, asteroidMaterial, numObjs);
     
     for (let i = 0; i < numObjs; i += 1) {
-        const radius = distance + Math.random() * 0.2 - 0.1;
+        const radius = distance + (Math.random() - 0.5) * spread;
         const angle = Math.random() * Math.PI * 2;
         const x = Math.cos(angle) * radius;
         const z = Math.sin(angle) * radius;
-        const y = (Math.random() - 0.5) * 0.1;
+        const y = (Math.random() - 0.5) * thickness;
         const position = new THREE.Vector3(x, y, z);
         const quaternion = new THREE.Quaternion();
         quaternion.random();
@@ -31,9 +31,8 @@ function getInstanced({ distance, mesh, size, index = 0 }) {
     }
     
     enhancedInstaMesh.userData = {
-        update(t) {
-            const rate = -0.0003 * (1 + index * 0.2);
-            enhancedInstaMesh.rotation.z = t * rate;
+        update(t, delta) {
+            enhancedInstaMesh.rotation.z = t * rate * (1 + index * 0.2);
             
             enhancedInstaMesh.rotation.x = Math.sin(t * 0.1) * 0.05;
             enhancedInstaMesh.rotation.y = Math.cos(t * 0.15) * 0.05;
@@ -94,7 +93,7 @@ function getAsteroidBelt(objs) {
     
     const particles = new THREE.Points(particleGeometry, particleMaterial);
     
-    particles.userData.update = (t) => {
+    particles.userData.update = (t, delta) => {
         particles.rotation.z = t * -0.0002;
         particles.rotation.x = Math.sin(t * 0.05) * 0.02;
     };
@@ -104,4 +103,5 @@ function getAsteroidBelt(objs) {
     return group;
 }
 
-export default getAsteroidBelt;
\ No newline at end of file
+export default getAsteroidBelt;
+export { getInstanced };
\ No newline at end of file
@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+import { isShown } from './getBodyPicker.js';
+
+// A label that would touch one already placed is hidden; it fades in as the gap to its
+// nearest placed neighbour grows to FADE_PIXELS
+const FADE_PIXELS = 24;
+// Offset of the label's corner from the body's centre, in pixels
+const OFFSET_X = 8;
+const OFFSET_Y = -18;
+// Seconds between refreshes of the distance/speed readouts
+const DETAILS_INTERVAL = 0.25;
+
+// Screen distance between two rectangles, zero when they overlap
+function getGap(a, b) {
+    const dx = Math.max(0, a.left - b.right, b.left - a.right);
+    const dy = Math.max(0, a.top - b.bottom, b.top - a.bottom);
+    return Math.hypot(dx, dy);
+}
+
+// Screen-space name labels that follow 3D objects. Labels are placed most important first,
+// then nearest the camera first; each fades out as it closes in on a label already placed
+// and gives way entirely rather than overlap, so crowded moons or planets seen from afar
+// thin out and come back as they spread apart. Labels can show a line of live details and
+// call `onSelect(id)` when clicked.
+function getBodyLabels({ container, camera, onSelect = () => {} }) {
+    const labels = [];
+    const world = new THREE.Vector3();
+    const projected = new THREE.Vector3();
+    let visible = true;
+    let showDetails = false;
+    let detailsAge = Infinity;
+
+    function toScreen(position, width, height) {
+        projected.copy(position).project(camera);
+        return {
+            x: (projected.x + 1) / 2 * width,
+            y: (1 - projected.y) / 2 * height,
+            // Outside the view frustum (including behind the camera)
+            clipped: projected.z > 1 || Math.abs(projected.x) > 1.1 || Math.abs(projected.y) > 1.1
+        };
+    }
+
+    function measure(label) {
+        label.width = label.element.offsetWidth;
+        label.height = label.element.offsetHeight;
+    }
+
+    // `priority` decides which label wins a collision; `getDetails()` returns the optional
+    // readout text
+    function add({ id, name, object, priority = 0, getDetails = null }) {
+        const element = document.createElement('div');
+        element.className = 'body-label';
+        const nameElement = document.createElement('span');
+        nameElement.className = 'body-label-name';
+        nameElement.textContent = name;
+        const detailsElement = document.createElement('span');
+        detailsElement.className = 'body-label-details';
+        element.append(nameElement, detailsElement);
+        element.addEventListener('click', (event) => {
+            event.stopPropagation();
+            onSelect(id);
+        });
+        container.appendChild(element);
+        const label = { id, object, priority, getDetails, element, detailsElement, width: 0, height: 0 };
+        measure(label);
+        labels.push(label);
+        return label;
+    }
+
+    function hide(label) {
+        label.element.style.opacity = 0;
+        label.element.style.pointerEvents = 'none';
+    }
+
+    function setVisible(value) {
+        visible = value;
+        container.style.display = visible ? '' : 'none';
+        // Sizes read as zero while hidden
+        if (visible) labels.forEach(measure);
+    }
+
+    function setShowDetails(value) {
+        showDetails = value;
+        detailsAge = Infinity;
+        labels.forEach((label) => {
+            label.detailsElement.style.display = showDetails && label.getDetails ? '' : 'none';
+            if (!showDetails) label.detailsElement.textContent = '';
+            measure(label);
+        });
+    }
+
+    function update({ selectedId = null, delta = 0 } = {}) {
+        if (!visible) return;
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+
+        detailsAge += delta;
+        if (showDetails && detailsAge >= DETAILS_INTERVAL) {
+            detailsAge = 0;
+            labels.forEach((label) => {
+                if (!label.getDetails) return;
+                label.detailsElement.textContent = label.getDetails();
+                measure(label);
+            });
+        }
+
+        // Work out where every visible label would go
+        const candidates = [];
+        labels.forEach((label) => {
+            if (!isShown(label.object)) {
+                hide(label);
+                return;
+            }
+            label.object.getWorldPosition(world);
+            const screen = toScreen(world, width, height);
+            if (screen.clipped) {
+                hide(label);
+                return;
+            }
+            const left = screen.x + OFFSET_X;
+            const top = screen.y + OFFSET_Y;
+            candidates.push({
+                label,
+                selected: label.id === selectedId,
+                rank: label.id === selectedId ? Infinity : label.priority,
+                depth: world.distanceTo(camera.position),
+                rect: { left, top, right: left + label.width, bottom: top + label.height }
+            });
+        });
+
+        // Most important, then nearest, first; each label shows by how well it clears those
+        // already placed (the selected body's label always shows in full)
+        candidates.sort((a, b) => b.rank - a.rank || a.depth - b.depth);
+        const placed = [];
+        candidates.forEach(({ label, selected, rect }) => {
+            const gap = placed.reduce((nearest, other) => Math.min(nearest, getGap(rect, other)), Infinity);
+            const opacity = selected ? 1 : THREE.MathUtils.clamp(gap / FADE_PIXELS, 0, 1);
+            if (opacity <= 0) {
+                hide(label);
+                return;
+            }
+            placed.push(rect);
+            label.element.style.transform = `translate(${rect.left}px, ${rect.top}px)`;
+            label.element.style.opacity = opacity;
+            label.element.style.pointerEvents = opacity > 0.3 ? 'auto' : 'none';
+            label.element.classList.toggle('selected', label.id === selectedId);
+        });
+    }
+
+    setShowDetails(false);
+    return { add, update, setVisible, setShowDetails };
+}
+
+export default getBodyLabels;
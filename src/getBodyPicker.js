@@ -0,0 +1,64 @@
+import * as THREE from 'three';
+
+// False when the object or any of its ancestors is hidden
+function isShown(object) {
+    for (let current = object; current; current = current.parent) {
+        if (!current.visible) return false;
+    }
+    return true;
+}
+
+// Picks bodies by proxy spheres instead of raycasting the scene, so a click or hover tests a
+// few dozen spheres rather than every asteroid instance, nebula sprite and star point.
+// A proxy is the body's drawn radius, grown to at least `minPixels` across on screen so
+// distant moons and comets can still be hit. Hidden bodies (toggled off layers) are skipped.
+function getBodyPicker({ camera, element, minPixels = 14 }) {
+    const bodies = new Map();
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const center = new THREE.Vector3();
+    const hit = new THREE.Vector3();
+    const sphere = new THREE.Sphere();
+
+    const picker = {
+        bodies,
+        // `getRadius()` is the body's radius in world units as currently drawn
+        add(id, object, getRadius) {
+            bodies.set(id, { object, getRadius });
+        },
+        remove(id) {
+            bodies.delete(id);
+        },
+        // Id of the nearest body under a point in client (CSS pixel) coordinates, or null
+        pick(clientX, clientY) {
+            const rect = element.getBoundingClientRect();
+            if (rect.width === 0 || rect.height === 0) return null;
+            pointer.set(
+                ((clientX - rect.left) / rect.width) * 2 - 1,
+                -((clientY - rect.top) / rect.height) * 2 + 1
+            );
+            raycaster.setFromCamera(pointer, camera);
+            // World size of one pixel at unit distance from the camera
+            const pixelSize = 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / (rect.height * camera.zoom);
+            let nearestId = null;
+            let nearestDistance = Infinity;
+            bodies.forEach(({ object, getRadius }, id) => {
+                if (!isShown(object)) return;
+                object.getWorldPosition(center);
+                const minRadius = center.distanceTo(raycaster.ray.origin) * pixelSize * minPixels / 2;
+                sphere.set(center, Math.max(getRadius(), minRadius));
+                if (!raycaster.ray.intersectSphere(sphere, hit)) return;
+                const distance = hit.distanceTo(raycaster.ray.origin);
+                if (distance < nearestDistance) {
+                    nearestDistance = distance;
+                    nearestId = id;
+                }
+            });
+            return nearestId;
+        }
+    };
+    return picker;
+}
+
+export default getBodyPicker;
+export { isShown };
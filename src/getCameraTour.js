@@ -0,0 +1,127 @@
+import * as THREE from 'three';
+
+// Camera height above a body's orbit plane while circling it, in radians
+const ELEVATION = 0.35;
+// One turn around a body every 40 seconds
+const ORBIT_SPEED = Math.PI * 2 / 40;
+
+// Cinematic tour for the auto camera: glide to each stop, circle it for a while, move on.
+// `stops` are `{ id, seconds }`. Bodies come from `getObject(id)`, which returns null to skip
+// one, and are circled at `getDistance(id)`. `onStop(id)` announces each arrival (null when
+// the tour stops or pauses). Call `interact(true/false)` as the user grabs and releases the
+// controls: the tour pauses, carries the camera along with the body meanwhile, and picks up
+// again after `idleSeconds` without input.
+function getCameraTour({
+    camera,
+    controls,
+    transition,
+    getObject,
+    getDistance,
+    stops,
+    flySeconds = 4,
+    orbitSeconds = 8,
+    idleSeconds = 8,
+    onStop = () => {}
+}) {
+    const center = new THREE.Vector3();
+    const goal = new THREE.Vector3();
+    const goalTarget = new THREE.Vector3();
+    const lastCenter = new THREE.Vector3();
+    let index = -1;
+    let object = null;
+    let orbiting = false;
+    let angle = 0;
+    let elapsed = 0;
+    let idle = 0;
+    let interacting = false;
+
+    function getOrbitPosition(target) {
+        const distance = getDistance(stops[index].id);
+        return target.set(
+            Math.cos(angle) * Math.cos(ELEVATION),
+            Math.sin(ELEVATION),
+            Math.sin(angle) * Math.cos(ELEVATION)
+        ).multiplyScalar(distance).add(center);
+    }
+
+    // Fly to the next stop that can be shown, starting at `next`
+    function goTo(next) {
+        for (let tries = 0; tries < stops.length; tries += 1) {
+            const candidate = (next + tries) % stops.length;
+            const found = getObject(stops[candidate].id);
+            if (!found) continue;
+            index = candidate;
+            object = found;
+            orbiting = false;
+            elapsed = 0;
+            // Arrive on the side the camera is coming from, so the glide stays short
+            object.getWorldPosition(center);
+            angle = Math.atan2(camera.position.z - center.z, camera.position.x - center.x);
+            transition.start({
+                getPosition: () => getOrbitPosition(goal),
+                getTarget: () => object.getWorldPosition(goalTarget),
+                duration: flySeconds,
+                onEnd: () => { orbiting = true; }
+            });
+            onStop(stops[index].id);
+            return;
+        }
+        tour.stop();
+    }
+
+    const tour = {
+        running: false,
+        paused: false,
+        start() {
+            tour.running = true;
+            tour.paused = false;
+            goTo(index + 1);
+        },
+        stop() {
+            if (tour.running) transition.cancel();
+            tour.running = false;
+            tour.paused = false;
+            onStop(null);
+        },
+        interact(active) {
+            interacting = active;
+            idle = 0;
+            if (!active || !tour.running || tour.paused) return;
+            tour.paused = true;
+            transition.cancel();
+            if (object) object.getWorldPosition(lastCenter);
+            onStop(null);
+        },
+        // Call when the camera transition is idle; returns false while the user has control
+        update(delta) {
+            if (!tour.running) return false;
+            if (tour.paused) {
+                if (object) {
+                    // Keep the body in view while the user looks around it
+                    object.getWorldPosition(center);
+                    camera.position.add(goal.subVectors(center, lastCenter));
+                    controls.target.add(goal);
+                    lastCenter.copy(center);
+                }
+                if (!interacting) idle += delta;
+                if (idle >= idleSeconds) {
+                    tour.paused = false;
+                    goTo(index);
+                }
+                return false;
+            }
+            if (!orbiting) return true;
+            angle += ORBIT_SPEED * delta;
+            elapsed += delta;
+            object.getWorldPosition(center);
+            getOrbitPosition(camera.position);
+            controls.target.copy(center);
+            camera.lookAt(center);
+            if (elapsed >= (stops[index].seconds ?? orbitSeconds)) goTo(index + 1);
+            return true;
+        }
+    };
+    return tour;
+}
+
+export default getCameraTour;
@@ -0,0 +1,54 @@
+import * as THREE from 'three';
+
+// Gentle at both ends: no jolt when leaving, no hard stop when arriving
+function easeInOutCubic(x) {
+    return x < 0.5 ? 4 * x * x * x : 1 - Math.pow(-2 * x + 2, 3) / 2;
+}
+
+// Camera fly-to driven from the main loop. The goal is read every frame through
+// `getPosition()` and `getTarget()`, so the camera arrives at a body that is still moving;
+// position, look-at point (the controls' target) and field of view are eased together.
+// `cancel()` leaves the camera where it is, e.g. when the user grabs the controls.
+function getCameraTransition({ camera, controls }) {
+    const startPosition = new THREE.Vector3();
+    const startTarget = new THREE.Vector3();
+    let current = null;
+
+    const transition = {
+        active: false,
+        // `duration` in seconds; `onEnd` runs once the goal is reached (not when cancelled)
+        start({ getPosition, getTarget, fov = camera.fov, duration = 2, onEnd = null }) {
+            startPosition.copy(camera.position);
+            startTarget.copy(controls.target);
+            current = { getPosition, getTarget, startFov: camera.fov, fov, duration, elapsed: 0, onEnd };
+            transition.active = true;
+        },
+        cancel() {
+            current = null;
+            transition.active = false;
+        },
+        // Moves the camera; returns true while a transition is in control of it
+        update(delta) {
+            if (!current) return false;
+            const running = current;
+            running.elapsed += delta;
+            const progress = Math.min(running.elapsed / running.duration, 1);
+            const k = easeInOutCubic(progress);
+            camera.position.lerpVectors(startPosition, running.getPosition(), k);
+            controls.target.lerpVectors(startTarget, running.getTarget(), k);
+            camera.lookAt(controls.target);
+            if (running.fov !== running.startFov) {
+                camera.fov = THREE.MathUtils.lerp(running.startFov, running.fov, k);
+                camera.updateProjectionMatrix();
+            }
+            if (progress === 1) {
+                transition.cancel();
+                running.onEnd?.();
+            }
+            return true;
+        }
+    };
+    return transition;
+}
+
+export default getCameraTransition;
@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+import { J2000, getOrbitalPosition } from './keplerOrbit.js';
+
+// Open cone from the nucleus (z = 0) out to the tip (z = -1), fading to transparent along its length
+function getTailGeometry(radius) {
+    const geo = new THREE.ConeGeometry(radius, 1, 24, 8, true);
+    geo.rotateX(-Math.PI / 2);
+    geo.translate(0, 0, -0.5);
+    const pos = geo.attributes.position;
+    const colors = new Float32Array(pos.count * 4);
+    for (let i = 0; i < pos.count; i += 1) {
+        const alpha = 1 + pos.getZ(i);
+        colors.set([1, 1, 1, alpha * alpha], i * 4);
+    }
+    geo.setAttribute('color', new THREE.BufferAttribute(colors, 4));
+    return geo;
+}
+
+function getTail({ color, radius }) {
+    const material = new THREE.MeshBasicMaterial({
+        color,
+        vertexColors: true,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+        blending: THREE.AdditiveBlending
+    });
+    return new THREE.Mesh(getTailGeometry(radius), material);
+}
+
+function getComa(size) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
+    gradient.addColorStop(0, 'rgba(220, 240, 255, 1)');
+    gradient.addColorStop(0.3, 'rgba(150, 200, 255, 0.4)');
+    gradient.addColorStop(1, 'rgba(100, 150, 255, 0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 64, 64);
+    const material = new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+    const coma = new THREE.Sprite(material);
+    coma.scale.setScalar(size * 8);
+    return coma;
+}
+
+// A periodic comet on its Keplerian orbit. The ion tail points straight away from the Sun,
+// the dust tail curves back along the orbit, and both grow as 1/r^2 toward perihelion.
+function getComet({ elements, clock = null, scaleRadius, size = 0.02, planetName = null, tailScale = 0.6, maxTailLength = 2.5 }) {
+    const orbitGroup = new THREE.Group();
+    const toScene = (v) => v.setLength(scaleRadius(v.length()));
+
+    const nucleus = new THREE.Mesh(
+        new THREE.IcosahedronGeometry(size, 2),
+        new THREE.MeshStandardMaterial({ color: 0x777066, roughness: 1.0 })
+    );
+    orbitGroup.add(nucleus);
+
+    const coma = getComa(size);
+    orbitGroup.add(coma);
+
+    const ionTail = getTail({ color: 0x88bbff, radius: 0.04 });
+    const dustTail = getTail({ color: 0xffeecc, radius: 0.08 });
+    orbitGroup.add(ionTail, dustTail);
+
+    if (planetName) {
+        orbitGroup.traverse(obj => { obj.userData.planetName = planetName; });
+    }
+
+    const helioPosition = new THREE.Vector3();
+    const nextPosition = new THREE.Vector3();
+    const antiSun = new THREE.Vector3();
+    const motion = new THREE.Vector3();
+    const lookTarget = new THREE.Vector3();
+
+    orbitGroup.userData.elements = elements;
+    orbitGroup.userData.toScene = toScene;
+    orbitGroup.userData.update = (t, delta) => {
+        const jd = clock ? clock.jd : J2000;
+        getOrbitalPosition(elements, jd, helioPosition);
+        getOrbitalPosition(elements, jd + 1, nextPosition);
+        const r = helioPosition.length();
+        toScene(orbitGroup.position.copy(helioPosition));
+
+        const length = Math.min(tailScale / (r * r), maxTailLength);
+        const activity = Math.min(length / 0.1, 1);
+        coma.material.opacity = 0.3 + activity * 0.7;
+        ionTail.visible = dustTail.visible = length > 0.01;
+
+        // Tails are oriented with lookAt, which aims local +z at the target: aim back at the
+        // Sun side so the cone (built along -z) streams away from it
+        antiSun.copy(helioPosition).normalize();
+        ionTail.scale.set(1, 1, length);
+        lookTarget.copy(orbitGroup.position).sub(antiSun);
+        ionTail.lookAt(lookTarget);
+
+        motion.subVectors(nextPosition, helioPosition).normalize();
+        antiSun.addScaledVector(motion, -0.4).normalize();
+        dustTail.scale.set(1, 1, length * 0.7);
+        lookTarget.copy(orbitGroup.position).sub(antiSun);
+        dustTail.lookAt(lookTarget);
+    };
+
+    return orbitGroup;
+}
+
+export default getComet;
@@ -30,7 +30,8 @@ function getLine({ width }) {
     return mesh;
 }
 
-function getRing({ distance, hue = 0, lightness = 1.0, width = 2 }) {
+// Pass `points` (Vector3s in scene space) to trace an arbitrary closed path such as an orbit ellipse
+function getRing({ distance, points = null, hue = 0, lightness = 1.0, width = 2 }) {
     function getRingVerts(radius = distance) {
         const positions = [];
         const numVerts = 128;
@@ -47,9 +48,13 @@ function getRing({ distance, hue = 0, lightness = 1.0, width = 2 }) {
     });
     ringMat.resolution.set(w, h); // resolution of the viewport
     const lineGeo = new LineGeometry();
-    lineGeo.setPositions(getRingVerts());
     const orbitRing = new Line2(lineGeo, ringMat);
-    orbitRing.rotation.x = Math.PI * 0.5;
+    if (points) {
+        lineGeo.setPositions(points.flatMap((p) => [p.x, p.y, p.z]));
+    } else {
+        lineGeo.setPositions(getRingVerts());
+        orbitRing.rotation.x = Math.PI * 0.5;
+    }
     orbitRing.computeLineDistances();
     return orbitRing;
 }
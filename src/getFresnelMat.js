@@ -15,6 +15,9 @@ function getFresnelMat({rimHex = 0x0088ff, facingHex = 0x000000} = {}) {
   
   varying float vReflectionFactor;
   
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
+  
   void main() {
     vec4 mvPosition = modelViewMatrix * vec4( position, 1.0 );
     vec4 worldPosition = modelMatrix * vec4( position, 1.0 );
@@ -26,6 +29,7 @@ function getFresnelMat({rimHex = 0x0088ff, facingHex = 0x000000} = {}) {
     vReflectionFactor = fresnelBias + fresnelScale * pow( 1.0 + dot( normalize( I ), worldNormal ), fresnelPower );
   
     gl_Position = projectionMatrix * mvPosition;
+    #include <logdepthbuf_vertex>
   }
   `;
   const fs = `
@@ -34,7 +38,10 @@ function getFresnelMat({rimHex = 0x0088ff, facingHex = 0x000000} = {}) {
   
   varying float vReflectionFactor;
   
+  #include <logdepthbuf_pars_fragment>
+  
   void main() {
+    #include <logdepthbuf_fragment>
     float f = clamp( vReflectionFactor, 0.0, 1.0 );
     gl_FragColor = vec4(mix(color2, color1, vec3(f)), f);
   }
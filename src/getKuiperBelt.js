@@ -0,0 +1,32 @@
+import * as THREE from 'three';
+import { getInstanced } from './getAsteroidBelt.js';
+
+// Icy bodies beyond Neptune, roughly 30-50 AU. Inner and outer edges are given in scene
+// units so the belt follows whatever distance scale the planets use.
+function getKuiperBelt(objs, { innerRadius = 4.4, outerRadius = 5.2 } = {}) {
+    const group = new THREE.Group();
+    const rings = 4;
+    const width = (outerRadius - innerRadius) / rings;
+
+    objs.forEach((obj, objIndex) => {
+        for (let ringIndex = 0; ringIndex < rings; ringIndex += 1) {
+            const belt = getInstanced({
+                distance: innerRadius + width * (ringIndex + 0.5),
+                mesh: obj,
+                size: 0.015 + Math.random() * 0.01,
+                index: objIndex + ringIndex,
+                count: 60 + Math.floor(Math.random() * 40),
+                spread: width,
+                // The Kuiper belt is much thicker than the main belt
+                thickness: 0.5,
+                color: 0x8899aa,
+                rate: -0.0001
+            });
+            group.add(belt);
+        }
+    });
+
+    return group;
+}
+
+export default getKuiperBelt;
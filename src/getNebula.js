@@ -60,28 +60,37 @@ export default function getNebula({
         originalPosition: sprite.position.clone(),
         speed: Math.random() * 0.5 + 0.5,
         phase: Math.random() * Math.PI * 2,
-        rotationSpeed: Math.random() * 0.02 - 0.01
+        rotationSpeed: Math.random() * 3 - 1.5 // radians per unit of animation time
       };
       
       nebulaGroup.add(sprite);
     }
   }
   
+  // Graphics quality: show the same share of sprites in every layer
+  nebulaGroup.userData.setDensity = (density) => {
+    nebulaGroup.children.forEach((sprite, index) => {
+      sprite.visible = index % numSprites < Math.ceil(numSprites * density);
+    });
+  };
+  
   // Animation function
-  nebulaGroup.userData.update = (t) => {
+  nebulaGroup.userData.update = (t, delta) => {
     nebulaGroup.children.forEach((sprite) => {
+      if (!sprite.visible) return;
       const data = sprite.userData;
       
       // Gentle floating motion
       sprite.position.x = data.originalPosition.x + Math.sin(t * data.speed + data.phase) * 2;
       sprite.position.y = data.originalPosition.y + Math.cos(t * data.speed * 0.7 + data.phase) * 2;
       
-      // Rotation
-      sprite.rotation += data.rotationSpeed;
+      // Rotation (sprites turn through their material)
+      sprite.material.rotation = data.phase + t * data.rotationSpeed;
       
-      // Pulsing opacity
+      // Pulsing opacity, eased toward the target at the same rate at any frame rate
       const pulse = 0.5 + Math.sin(t * 0.5 + data.phase) * 0.3;
-      sprite.material.opacity = sprite.material.opacity * 0.9 + pulse * 0.1;
+      const ease = 1 - Math.exp(-delta * 30);
+      sprite.material.opacity += (pulse - sprite.material.opacity) * ease;
       
       // Color shift
       const hueShift = Math.sin(t * 0.1 + data.phase) * 0.1;
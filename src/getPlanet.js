@@ -1,11 +1,15 @@
 import * as THREE from 'three';
 import { getFresnelMat } from './getFresnelMat.js';
+import { J2000, getOrbitalPosition } from './keplerOrbit.js';
+import { resolveTexture } from './textureAssets.js';
+import { getPoleQuaternion, getSpinAngle } from './bodyRotation.js';
+import getSphereLOD from './getSphereLOD.js';
 
-const texLoader = new THREE.TextureLoader();
-const geo = new THREE.IcosahedronGeometry(1, 6);
+// Clouds drift one turn relative to the surface every this many rotations
+const CLOUD_DRIFT = 40;
 
-function createAtmosphere(size, color) {
-    const atmosphereGeo = new THREE.IcosahedronGeometry(size * 1.1, 4);
+// Shells are sized relative to the planet, whose scale is its radius
+function createAtmosphere(color) {
     const atmosphereMat = new THREE.MeshBasicMaterial({
         color: color,
         transparent: true,
@@ -13,7 +17,13 @@ function createAtmosphere(size, color) {
         side: THREE.BackSide,
         blending: THREE.AdditiveBlending
     });
-    const atmosphere = new THREE.Mesh(atmosphereGeo, atmosphereMat);
+    const atmosphere = getSphereLOD({ material: atmosphereMat, detail: 4 });
+    atmosphere.scale.setScalar(1.1);
+    // Animate atmosphere
+    atmosphere.userData.update = (t, delta) => {
+        atmosphere.rotation.y = t * 0.1;
+        atmosphereMat.opacity = 0.2 + Math.sin(t * 2) * 0.1;
+    };
     return atmosphere;
 }
 
@@ -39,64 +49,72 @@ function setPlanetNameRecursive(object, planetName) {
     }
 }
 
-function getPlanet({ children = [], distance = 0, img = '', normalMap = '', specularMap = '', size = 1, atmosphere = false, atmosphereColor = 0x88aaff, rings = null, planetName = null, ringTexture = null, cloudMap = '' }) {
+function getPlanet({ children = [], distance = 0, elements = null, scaleRadius = null, clock = null, img = '', normalMap = '', specularMap = '', size = 1, type = '', tint = null, pole = null, rotationPeriod = 0, atmosphere = false, atmosphereColor = 0x88aaff, rings = null, planetName = null, ringTexture = null, cloudMap = '' }) {
+    // The group travels along the orbit; the planet, its rings and its satellites ride along inside it.
+    // The planet and its rings sit in their own group so they can be resized without moving the satellites
     const orbitGroup = new THREE.Group();
-    orbitGroup.rotation.x = Math.random() * Math.PI * 2;
-
-    // Load color, normal, and specular maps if provided
-    const colorMap = texLoader.load(`./textures/${img}`);
-    const normal = normalMap ? texLoader.load(`./textures/${normalMap}`) : null;
-    const specular = specularMap ? texLoader.load(`./textures/${specularMap}`) : null;
-    const clouds = cloudMap ? texLoader.load(`./textures/${cloudMap}`) : null;
-
-    // Realistic planet material
+    const bodyGroup = new THREE.Group();
+    orbitGroup.add(bodyGroup);
+    // Tilt onto the pole; the planet then spins about its local y axis and rings lie on the equator
+    getPoleQuaternion(pole, bodyGroup.quaternion);
+    // Map orbit positions (AU) to the scene: either scale the whole ellipse so the semi-major axis
+    // lands at `distance`, keeping its real shape, or map each radius through `scaleRadius`
+    const orbitScale = elements ? distance / elements.a : 1;
+    const toScene = scaleRadius
+        ? (v) => v.setLength(scaleRadius(v.length()))
+        : (v) => v.multiplyScalar(orbitScale);
+    if (!elements) orbitGroup.position.x = distance;
+
+    // Realistic planet material; maps are attached as the texture resolver finds them
     const planetMat = new THREE.MeshStandardMaterial({
-        map: colorMap,
-        normalMap: normal,
-        metalnessMap: specular,
         roughness: 0.7,
         metalness: 0.2,
         envMapIntensity: 0.7
     });
+    // Colour for procedural placeholders when no texture file can be found
+    const surfaceTint = tint ?? (atmosphere ? atmosphereColor : 0x999999);
+    function applyMap(material, slot, options) {
+        resolveTexture({ id: planetName, tint: surfaceTint, ...options }).then((texture) => {
+            if (!texture) return;
+            material[slot] = texture;
+            material.needsUpdate = true;
+        });
+    }
+    applyMap(planetMat, 'map', { role: 'color', file: img, banded: type.includes('Giant') });
+    if (normalMap) applyMap(planetMat, 'normalMap', { role: 'normal', file: normalMap });
+    if (specularMap) applyMap(planetMat, 'metalnessMap', { role: 'specular', file: specularMap });
 
-    const planet = new THREE.Mesh(geo, planetMat);
+    const planet = getSphereLOD({ material: planetMat, castShadow: true, receiveShadow: true });
     planet.scale.setScalar(size);
-    planet.castShadow = true;
-    planet.receiveShadow = true;
-
-    const startAngle = Math.random() * Math.PI * 2;
-    planet.position.x = Math.cos(startAngle) * distance;
-    planet.position.z = Math.sin(startAngle) * distance;
 
-    // Cloud layer (if provided)
+    // Cloud layer (if provided), added once its texture resolves
     let cloudMesh = null;
-    if (clouds) {
-        const cloudGeo = new THREE.IcosahedronGeometry(size * 1.01, 6);
-        const cloudMat = new THREE.MeshStandardMaterial({
-            map: clouds,
-            transparent: true,
-            opacity: 0.5,
-            depthWrite: false
+    if (cloudMap) {
+        resolveTexture({ id: planetName, role: 'clouds', file: cloudMap }).then((clouds) => {
+            if (!clouds) return;
+            const cloudMat = new THREE.MeshStandardMaterial({
+                map: clouds,
+                transparent: true,
+                opacity: 0.5,
+                depthWrite: false
+            });
+            cloudMesh = getSphereLOD({ material: cloudMat });
+            cloudMesh.scale.setScalar(1.01);
+            setPlanetNameRecursive(cloudMesh, planetName);
+            planet.add(cloudMesh);
         });
-        cloudMesh = new THREE.Mesh(cloudGeo, cloudMat);
-        planet.add(cloudMesh);
     }
 
     // Enhanced rim effect
     const planetRimMat = getFresnelMat({ rimHex: 0xffffff, facingHex: 0x000000 });
-    const planetRimMesh = new THREE.Mesh(geo, planetRimMat);
+    const planetRimMesh = getSphereLOD({ material: planetRimMat });
     planetRimMesh.scale.setScalar(1.02);
     planet.add(planetRimMesh);
 
     // Add atmosphere if specified
     if (atmosphere) {
-        const atmosphereMesh = createAtmosphere(size, atmosphereColor);
+        const atmosphereMesh = createAtmosphere(atmosphereColor);
         planet.add(atmosphereMesh);
-        // Animate atmosphere
-        atmosphereMesh.userData.update = (t) => {
-            atmosphereMesh.rotation.y = t * 0.1;
-            atmosphereMesh.material.opacity = 0.2 + Math.sin(t * 2) * 0.1;
-        };
     }
 
     // Add rings if specified
@@ -105,28 +123,23 @@ function getPlanet({ children = [], distance = 0, img = '', normalMap = '', spec
             let ring;
             if (ringData.texture) {
                 // Use a transparent PNG texture for realistic rings
-                const ringTex = texLoader.load(`./textures/${ringData.texture}`);
                 const ringGeo = new THREE.RingGeometry(ringData.innerRadius, ringData.outerRadius, 128);
                 const ringMat = new THREE.MeshBasicMaterial({
-                    map: ringTex,
                     transparent: true,
                     opacity: ringData.opacity ?? 1.0,
                     side: THREE.DoubleSide
                 });
+                applyMap(ringMat, 'map', { role: 'ring', file: ringData.texture, tint: ringData.color ?? surfaceTint });
                 ring = new THREE.Mesh(ringGeo, ringMat);
             } else {
                 ring = createRing(ringData.innerRadius, ringData.outerRadius, ringData.color, ringData.opacity);
             }
             ring.rotation.x = Math.PI / 2;
-            ring.position.x = Math.cos(startAngle) * distance;
-            ring.position.z = Math.sin(startAngle) * distance;
-            orbitGroup.add(ring);
+            bodyGroup.add(ring);
         });
     }
 
     children.forEach((child) => {
-        child.position.x = Math.cos(startAngle) * distance;
-        child.position.z = Math.sin(startAngle) * distance;
         orbitGroup.add(child);
     });
 
@@ -137,29 +150,34 @@ function getPlanet({ children = [], distance = 0, img = '', normalMap = '', spec
         orbitGroup.userData.planetName = planetName;
     }
 
-    const rate = Math.random() * 1 - 1.0;
-    orbitGroup.userData.update = (t) => {
-        orbitGroup.rotation.y = t * rate;
+    orbitGroup.userData.elements = elements;
+    orbitGroup.userData.toScene = toScene;
+    orbitGroup.userData.body = bodyGroup;
+    orbitGroup.userData.update = (t, delta) => {
+        const jd = clock ? clock.jd : J2000;
+        if (elements) {
+            toScene(getOrbitalPosition(elements, jd, orbitGroup.position));
+        }
         children.forEach((child) => {
-            child.userData.update?.(t);
+            child.userData.update?.(t, delta);
         });
-        // Planet rotation
-        planet.rotation.y += 0.01;
+        // Sidereal rotation from simulation time
+        planet.rotation.y = getSpinAngle(rotationPeriod, jd);
         // Cloud layer animation
         if (cloudMesh) {
-            cloudMesh.rotation.y += 0.008;
+            cloudMesh.rotation.y = getSpinAngle(rotationPeriod * CLOUD_DRIFT, jd);
         }
         // Atmospheric animation
         if (atmosphere) {
             planet.children.forEach(child => {
                 if (child.userData.update) {
-                    child.userData.update(t);
+                    child.userData.update(t, delta);
                 }
             });
         }
     };
     
-    orbitGroup.add(planet);
+    bodyGroup.add(planet);
     return orbitGroup;
 }
 
@@ -0,0 +1,154 @@
+// Turns pointer events on `element` into taps, double taps, long presses and two-finger
+// gestures for mouse, touch and pen alike. Dragging, pinching and panning themselves are left
+// to OrbitControls; a press only counts as a tap if it barely moved and was let go quickly.
+// Callbacks get the pointer's { clientX, clientY, pointerType }.
+//   onPress            any pointer went down
+//   onTap, onDoubleTap a second tap within `doubleTapSeconds` near the first is a double tap
+//   onLongPress        touch or pen held still for `longPressSeconds`
+//   onHover, onLeave   a mouse moving over the element with no button held, and leaving it
+//   onTwoFingerGesture two touches started pinching ('pinch') or moving together ('pan')
+//   onTwoFingerTap     two touches put down and lifted without moving
+function getPointerGestures({
+    element,
+    onPress = () => {},
+    onTap = () => {},
+    onDoubleTap = () => {},
+    onLongPress = () => {},
+    onHover = () => {},
+    onLeave = () => {},
+    onTwoFingerGesture = () => {},
+    onTwoFingerTap = () => {},
+    tapPixels = 10,
+    longPressSeconds = 0.5,
+    doubleTapSeconds = 0.3
+}) {
+    const pointers = new Map();
+    let longPressTimer = null;
+    let lastTap = null;
+    // Set while two touches are down, until every pointer of the gesture is lifted
+    let twoFinger = null;
+
+    function getPoint(event) {
+        return { clientX: event.clientX, clientY: event.clientY, pointerType: event.pointerType };
+    }
+
+    function getSpread() {
+        const [a, b] = [...pointers.values()];
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    function getCentre() {
+        const [a, b] = [...pointers.values()];
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+
+    function cancelLongPress() {
+        clearTimeout(longPressTimer);
+        longPressTimer = null;
+    }
+
+    function onPointerDown(event) {
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+        onPress(getPoint(event));
+        pointers.set(event.pointerId, {
+            startX: event.clientX,
+            startY: event.clientY,
+            x: event.clientX,
+            y: event.clientY,
+            startTime: event.timeStamp,
+            moved: false,
+            longPressed: false
+        });
+        cancelLongPress();
+        if (pointers.size === 1 && !twoFinger) {
+            if (event.pointerType === 'mouse') return;
+            const pointer = pointers.get(event.pointerId);
+            const point = getPoint(event);
+            longPressTimer = setTimeout(() => {
+                longPressTimer = null;
+                pointer.longPressed = true;
+                onLongPress(point);
+            }, longPressSeconds * 1000);
+        } else if (pointers.size === 2) {
+            twoFinger = { startTime: event.timeStamp, spread: getSpread(), centre: getCentre(), started: false };
+        }
+    }
+
+    function onPointerMove(event) {
+        const pointer = pointers.get(event.pointerId);
+        if (!pointer) {
+            if (event.pointerType === 'mouse' && event.buttons === 0) onHover(getPoint(event));
+            return;
+        }
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+        if (!pointer.moved && Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY) > tapPixels) {
+            pointer.moved = true;
+            cancelLongPress();
+        }
+        if (twoFinger && !twoFinger.started && pointers.size === 2) {
+            const centre = getCentre();
+            const pinched = Math.abs(getSpread() - twoFinger.spread) > tapPixels;
+            const panned = Math.hypot(centre.x - twoFinger.centre.x, centre.y - twoFinger.centre.y) > tapPixels;
+            if (pinched || panned) {
+                twoFinger.started = true;
+                onTwoFingerGesture(pinched ? 'pinch' : 'pan');
+            }
+        }
+    }
+
+    function onPointerUp(event) {
+        const pointer = pointers.get(event.pointerId);
+        if (!pointer) return;
+        pointers.delete(event.pointerId);
+        cancelLongPress();
+        if (twoFinger) {
+            if (pointers.size > 0) return;
+            const quick = event.timeStamp - twoFinger.startTime < longPressSeconds * 1000;
+            if (!twoFinger.started && quick) onTwoFingerTap();
+            twoFinger = null;
+            return;
+        }
+        if (pointer.moved || pointer.longPressed || event.timeStamp - pointer.startTime >= longPressSeconds * 1000) return;
+        const point = getPoint(event);
+        const isDoubleTap = lastTap
+            && event.timeStamp - lastTap.time < doubleTapSeconds * 1000
+            && Math.hypot(point.clientX - lastTap.clientX, point.clientY - lastTap.clientY) < tapPixels * 2;
+        if (isDoubleTap) {
+            lastTap = null;
+            onDoubleTap(point);
+        } else {
+            lastTap = { ...point, time: event.timeStamp };
+            onTap(point);
+        }
+    }
+
+    function onPointerCancel(event) {
+        pointers.delete(event.pointerId);
+        cancelLongPress();
+        if (pointers.size === 0) twoFinger = null;
+    }
+
+    function onPointerLeave(event) {
+        if (event.pointerType === 'mouse') onLeave(getPoint(event));
+    }
+
+    element.addEventListener('pointerdown', onPointerDown);
+    element.addEventListener('pointermove', onPointerMove);
+    element.addEventListener('pointerup', onPointerUp);
+    element.addEventListener('pointercancel', onPointerCancel);
+    element.addEventListener('pointerleave', onPointerLeave);
+
+    return {
+        dispose() {
+            cancelLongPress();
+            element.removeEventListener('pointerdown', onPointerDown);
+            element.removeEventListener('pointermove', onPointerMove);
+            element.removeEventListener('pointerup', onPointerUp);
+            element.removeEventListener('pointercancel', onPointerCancel);
+            element.removeEventListener('pointerleave', onPointerLeave);
+        }
+    };
+}
+
+export default getPointerGestures;
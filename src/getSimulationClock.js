@@ -0,0 +1,48 @@
+const MS_PER_DAY = 86400000;
+// Julian date of the Unix epoch (1970-01-01 00:00 UTC)
+const UNIX_EPOCH_JD = 2440587.5;
+
+function dateToJulian(date) {
+    return date.getTime() / MS_PER_DAY + UNIX_EPOCH_JD;
+}
+
+function julianToDate(jd) {
+    return new Date((jd - UNIX_EPOCH_JD) * MS_PER_DAY);
+}
+
+// Simulation time is kept as a Julian date and advanced by the real time elapsed
+// each frame, so changing the rate never makes bodies jump.
+// `rate` is in simulated days per real second; negative values run time backwards.
+function getSimulationClock({ date = new Date(), rate = 1 } = {}) {
+    const clock = {
+        jd: dateToJulian(date),
+        rate,
+        paused: false,
+        tick(deltaSeconds) {
+            if (!clock.paused) {
+                clock.jd += deltaSeconds * clock.rate;
+            }
+            return clock.jd;
+        },
+        setDate(date) {
+            clock.jd = dateToJulian(date);
+        },
+        getDate() {
+            return julianToDate(clock.jd);
+        },
+        setRate(rate) {
+            clock.rate = rate;
+        },
+        reverse() {
+            clock.rate = -clock.rate;
+        },
+        togglePause() {
+            clock.paused = !clock.paused;
+            return clock.paused;
+        }
+    };
+    return clock;
+}
+
+export default getSimulationClock;
+export { dateToJulian, julianToDate };
@@ -0,0 +1,116 @@
+import * as THREE from 'three';
+import { getRing } from './getElipticLines.js';
+import { getEquatorialDirection } from './keplerOrbit.js';
+
+// Just inside the catalog stars so lines and labels are never hidden behind them. The app
+// keeps the overlay centred on the camera, so this is a radius around the viewer
+const SKY_RADIUS = 47;
+// Stars brighter than this magnitude get a name label
+const LABEL_MAGNITUDE = 1.5;
+
+// Text label that keeps the same on-screen size at any distance
+function getLabel(text, { color = '#aaccff', fontSize = 28 } = {}) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const font = `${fontSize}px Arial, sans-serif`;
+    ctx.font = font;
+    canvas.width = Math.ceil(ctx.measureText(text).width) + 8;
+    canvas.height = fontSize + 8;
+    ctx.font = font;
+    ctx.fillStyle = color;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, 4, canvas.height / 2);
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const material = new THREE.SpriteMaterial({
+        map: texture,
+        transparent: true,
+        depthWrite: false,
+        sizeAttenuation: false
+    });
+    const label = new THREE.Sprite(material);
+    // Without size attenuation the scale is a fraction of the view height at unit distance
+    const height = 0.018 * fontSize / 28;
+    label.scale.set(height * canvas.width / canvas.height, height, 1);
+    return label;
+}
+
+function getSkyPoint(ra, dec) {
+    return getEquatorialDirection({ ra, dec }).multiplyScalar(SKY_RADIUS);
+}
+
+// Great circle through a full turn of `toPoint(angle)` (degrees)
+function getGreatCircle(toPoint, options) {
+    const points = [];
+    for (let angle = 0; angle <= 360; angle += 2) {
+        points.push(toPoint(angle));
+    }
+    return getRing({ points, ...options });
+}
+
+// Overlay for finding your way around the sky: constellation stick figures and names,
+// the ecliptic and celestial equator, and names of the brightest stars. Each part is a
+// separate layer that can be shown or hidden with `userData.setLayerVisible`.
+function getSkyOverlay({ catalog = [], constellations = [] } = {}) {
+    const overlay = new THREE.Group();
+    const starsById = new Map(catalog.map(star => [star.id, star]));
+
+    const constellationLayer = new THREE.Group();
+    constellations.forEach(({ name, lines }) => {
+        const used = new Set();
+        lines.forEach((line) => {
+            const stars = line.map(id => starsById.get(id)).filter(Boolean);
+            if (stars.length < 2) return;
+            stars.forEach(star => used.add(star));
+            const points = stars.map(star => getSkyPoint(star.ra, star.dec));
+            constellationLayer.add(getRing({ points, hue: 0.6, lightness: 0.35, width: 1 }));
+        });
+        if (used.size === 0) return;
+        // Name at the middle of the figure
+        const center = new THREE.Vector3();
+        used.forEach(star => center.add(getSkyPoint(star.ra, star.dec)));
+        const label = getLabel(name.toUpperCase(), { color: '#7799cc', fontSize: 24 });
+        label.position.copy(center.setLength(SKY_RADIUS));
+        constellationLayer.add(label);
+    });
+
+    // The ecliptic is the scene's horizontal plane; the equator follows the celestial sphere
+    const gridLayer = new THREE.Group();
+    const ecliptic = getGreatCircle(
+        angle => new THREE.Vector3(Math.cos(angle * Math.PI / 180), 0, -Math.sin(angle * Math.PI / 180)).multiplyScalar(SKY_RADIUS),
+        { hue: 0.12, lightness: 0.4, width: 1 }
+    );
+    const equator = getGreatCircle(angle => getSkyPoint(angle, 0), { hue: 0.5, lightness: 0.35, width: 1 });
+    const eclipticLabel = getLabel('Ecliptic', { color: '#ccaa66', fontSize: 22 });
+    eclipticLabel.position.set(SKY_RADIUS, 0, 0);
+    const equatorLabel = getLabel('Celestial Equator', { color: '#66aaaa', fontSize: 22 });
+    equatorLabel.position.copy(getSkyPoint(90, 0));
+    gridLayer.add(ecliptic, equator, eclipticLabel, equatorLabel);
+
+    const starNameLayer = new THREE.Group();
+    catalog.filter(star => star.mag < LABEL_MAGNITUDE).forEach((star) => {
+        const label = getLabel(star.name, { color: '#ddeeff', fontSize: 22 });
+        // Nudge the label just above its star
+        label.center.set(0, -0.3);
+        label.position.copy(getSkyPoint(star.ra, star.dec));
+        starNameLayer.add(label);
+    });
+
+    const layers = {
+        constellations: constellationLayer,
+        grid: gridLayer,
+        starNames: starNameLayer
+    };
+    Object.values(layers).forEach((layer) => {
+        layer.visible = false;
+        overlay.add(layer);
+    });
+
+    overlay.userData.setLayerVisible = (name, visible) => {
+        if (layers[name]) layers[name].visible = visible;
+    };
+
+    return overlay;
+}
+
+export default getSkyOverlay;
@@ -0,0 +1,50 @@
+import * as THREE from 'three';
+
+// How much of the screen height a sphere's diameter must drop below before the next,
+// two steps coarser, level is drawn
+const LEVEL_SCREEN_SIZES = [0.25, 0.04];
+const HYSTERESIS = 0.1;
+
+const sphereCache = new Map();
+
+// Unit icosahedra shared by every body; bodies and shells are sized by their scale
+function getUnitSphere(detail) {
+    if (!sphereCache.has(detail)) sphereCache.set(detail, new THREE.IcosahedronGeometry(1, detail));
+    return sphereCache.get(detail);
+}
+
+function getLevelDetail(detail, index) {
+    return Math.max(1, detail - index * 2);
+}
+
+// A unit sphere as a THREE.LOD whose detail follows the size it is drawn at. Level distances
+// are recomputed from the world scale and camera fov before each switch, so scale modes and
+// zooming both count. `userData.setDetail(detail)` rebuilds the levels from a new top detail.
+function getSphereLOD({ material, detail = 6, castShadow = false, receiveShadow = false }) {
+    const lod = new THREE.LOD();
+    [detail, ...LEVEL_SCREEN_SIZES].forEach((_, index) => {
+        const mesh = new THREE.Mesh(getUnitSphere(getLevelDetail(detail, index)), material);
+        mesh.castShadow = castShadow;
+        mesh.receiveShadow = receiveShadow;
+        lod.addLevel(mesh, 0, HYSTERESIS);
+    });
+
+    lod.update = (camera) => {
+        const radius = lod.matrixWorld.getMaxScaleOnAxis();
+        const viewHeight = 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov ?? 50) / 2);
+        LEVEL_SCREEN_SIZES.forEach((size, index) => {
+            lod.levels[index + 1].distance = (2 * radius) / (size * viewHeight);
+        });
+        THREE.LOD.prototype.update.call(lod, camera);
+    };
+
+    lod.userData.baseDetail = detail;
+    lod.userData.setDetail = (top) => {
+        lod.levels.forEach(({ object }, index) => {
+            object.geometry = getUnitSphere(getLevelDetail(top, index));
+        });
+    };
+    return lod;
+}
+
+export default getSphereLOD;
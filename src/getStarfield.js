@@ -1,99 +1,176 @@
 import * as THREE from "three";
+import loadingManager from "./loadingManager.js";
+import { getEquatorialDirection } from "./keplerOrbit.js";
 
-export default function getStarfield({ numStars = 500, size = 0.2 } = {}) {
-  function randomSpherePoint() {
+// Catalog stars sit on one celestial sphere, just inside the outer edge of the random stars;
+// the app keeps the starfield centred on the camera so the sphere surrounds the viewer
+const CATALOG_RADIUS = 48;
+
+// Stars are drawn in screen pixels: twinkle and per-star size are computed on the GPU
+const vs = `
+  uniform float time;
+  uniform float pointScale;
+
+  attribute float size;
+  attribute float twinkleSpeed;
+  attribute float twinklePhase;
+
+  varying vec3 vColor;
+
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
+
+  void main() {
+    float twinkle = sin(time * twinkleSpeed + twinklePhase) * 0.3 + 0.7;
+    vColor = color * twinkle;
+    gl_PointSize = size * pointScale * (0.5 + twinkle * 0.5);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    #include <logdepthbuf_vertex>
+  }
+`;
+const fs = `
+  uniform sampler2D map;
+  uniform float brightness;
+
+  varying vec3 vColor;
+
+  #include <logdepthbuf_pars_fragment>
+
+  void main() {
+    #include <logdepthbuf_fragment>
+    gl_FragColor = vec4(vColor * brightness, 1.0) * texture2D(map, gl_PointCoord);
+    #include <colorspace_fragment>
+  }
+`;
+
+// Approximate colour of a star from its B-V index: Ballesteros' formula for the temperature,
+// then Tanner Helland's fit of blackbody colours
+function bvToColor(bv, target = new THREE.Color()) {
+  const k = 46 * (1 / (0.92 * bv + 1.7) + 1 / (0.92 * bv + 0.62));
+  const clamp = (value) => THREE.MathUtils.clamp(value, 0, 255) / 255;
+  const r = k <= 66 ? 255 : 329.698727446 * Math.pow(k - 60, -0.1332047592);
+  const g = k <= 66 ? 99.4708025861 * Math.log(k) - 161.1195681661 : 288.1221695283 * Math.pow(k - 60, -0.0755148492);
+  const b = k >= 66 ? 255 : (k <= 19 ? 0 : 138.5177312231 * Math.log(k - 10) - 305.0447927307);
+  return target.setRGB(clamp(r), clamp(g), clamp(b), THREE.SRGBColorSpace);
+}
+
+function getStarMaterial(uniforms, brightness) {
+  return new THREE.ShaderMaterial({
+    uniforms: { ...uniforms, brightness: { value: brightness } },
+    vertexShader: vs,
+    fragmentShader: fs,
+    vertexColors: true,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending
+  });
+}
+
+function getStarPoints(stars, material) {
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.Float32BufferAttribute(stars.flatMap(star => star.pos.toArray()), 3));
+  geo.setAttribute("color", new THREE.Float32BufferAttribute(stars.flatMap(star => star.color.toArray()), 3));
+  geo.setAttribute("size", new THREE.Float32BufferAttribute(stars.map(star => star.size), 1));
+  geo.setAttribute("twinkleSpeed", new THREE.Float32BufferAttribute(stars.map(star => star.twinkleSpeed), 1));
+  geo.setAttribute("twinklePhase", new THREE.Float32BufferAttribute(stars.map(star => star.twinklePhase), 1));
+  return new THREE.Points(geo, material);
+}
+
+// Random background stars with a spread of stellar colours
+function getRandomStars(numStars) {
+  const stars = [];
+  for (let i = 0; i < numStars; i += 1) {
     const radius = Math.random() * 25 + 25;
     const u = Math.random();
     const v = Math.random();
     const theta = 2 * Math.PI * u;
     const phi = Math.acos(2 * v - 1);
-    let x = radius * Math.sin(phi) * Math.cos(theta);
-    let y = radius * Math.sin(phi) * Math.sin(theta);
-    let z = radius * Math.cos(phi);
+    const pos = new THREE.Vector3().setFromSphericalCoords(radius, phi, theta);
 
-    return {
-      pos: new THREE.Vector3(x, y, z),
-      hue: Math.random() * 0.3 + 0.5, // More varied colors
-      minDist: radius,
-      twinkleSpeed: Math.random() * 2 + 0.5,
-      twinklePhase: Math.random() * Math.PI * 2,
-      size: Math.random() * 0.5 + 0.5
-    };
-  }
-  
-  const verts = [];
-  const colors = [];
-  const sizes = [];
-  const positions = [];
-  let col;
-  
-  for (let i = 0; i < numStars; i += 1) {
-    let p = randomSpherePoint();
-    const { pos, hue, twinkleSpeed, twinklePhase, size: starSize } = p;
-    positions.push(p);
-    
     // Create different star types
     const starType = Math.random();
-    let starColor;
-    
+    let color;
     if (starType < 0.1) {
       // Blue stars (hot)
-      starColor = new THREE.Color().setHSL(0.6, 0.8, Math.random() * 0.5 + 0.5);
+      color = new THREE.Color().setHSL(0.6, 0.8, Math.random() * 0.5 + 0.5);
     } else if (starType < 0.3) {
       // White stars
-      starColor = new THREE.Color().setHSL(0, 0, Math.random() * 0.5 + 0.5);
+      color = new THREE.Color().setHSL(0, 0, Math.random() * 0.5 + 0.5);
     } else if (starType < 0.6) {
       // Yellow stars (like our sun)
-      starColor = new THREE.Color().setHSL(0.12, 0.8, Math.random() * 0.5 + 0.5);
+      color = new THREE.Color().setHSL(0.12, 0.8, Math.random() * 0.5 + 0.5);
     } else {
       // Red/orange stars (cooler)
-      starColor = new THREE.Color().setHSL(0.05, 0.8, Math.random() * 0.5 + 0.5);
+      color = new THREE.Color().setHSL(0.05, 0.8, Math.random() * 0.5 + 0.5);
     }
-    
-    verts.push(pos.x, pos.y, pos.z);
-    colors.push(starColor.r, starColor.g, starColor.b);
-    sizes.push(starSize);
+
+    stars.push({
+      pos,
+      color,
+      size: Math.random() * 0.5 + 0.5,
+      twinkleSpeed: Math.random() * 2 + 0.5,
+      twinklePhase: Math.random() * Math.PI * 2
+    });
   }
-  
-  const geo = new THREE.BufferGeometry();
-  geo.setAttribute("position", new THREE.Float32BufferAttribute(verts, 3));
-  geo.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
-  geo.setAttribute("size", new THREE.Float32BufferAttribute(sizes, 1));
-  
-  const mat = new THREE.PointsMaterial({
-    size: size,
-    vertexColors: true,
-    map: new THREE.TextureLoader().load("./src/circle.png"),
-    transparent: true,
-    blending: THREE.AdditiveBlending
+  return stars;
+}
+
+// Catalog stars at their real position on the sky, sized and dimmed by magnitude.
+// Flux relative to a magnitude 1 star sets brightness; its square root sets size
+function getCatalogStars(catalog) {
+  return catalog.map(({ ra, dec, mag, bv = 0.6 }) => {
+    const flux = Math.pow(10, -0.4 * (mag - 1));
+    return {
+      pos: getEquatorialDirection({ ra, dec }).multiplyScalar(CATALOG_RADIUS),
+      color: bvToColor(bv).multiplyScalar(THREE.MathUtils.clamp(flux, 0.35, 1)),
+      size: THREE.MathUtils.clamp(Math.sqrt(flux), 0.4, 2.5),
+      // Bright stars twinkle gently so they stay recognisable
+      twinkleSpeed: Math.random() * 1.5 + 0.5,
+      twinklePhase: Math.random() * Math.PI * 2
+    };
   });
-  
-  const points = new THREE.Points(geo, mat);
-  
-  // Add twinkling animation
-  points.userData.update = (t) => {
-    const colors = geo.attributes.color.array;
-    const sizes = geo.attributes.size.array;
-    
-    for (let i = 0; i < numStars; i++) {
-      const i3 = i * 3;
-      const star = positions[i];
-      
-      // Twinkling effect
-      const twinkle = Math.sin(t * star.twinkleSpeed + star.twinklePhase) * 0.3 + 0.7;
-      
-      // Update color intensity
-      colors[i3] *= twinkle;
-      colors[i3 + 1] *= twinkle;
-      colors[i3 + 2] *= twinkle;
-      
-      // Update size
-      sizes[i] = star.size * (0.5 + twinkle * 0.5);
-    }
-    
-    geo.attributes.color.needsUpdate = true;
-    geo.attributes.size.needsUpdate = true;
+}
+
+// `size` is the point size in CSS pixels of a size-1 star. With a `catalog` (stars with
+// ra/dec in degrees, magnitude and B-V) the real sky is shown and the random stars are dimmed
+export default function getStarfield({ numStars = 500, size = 4, catalog = null } = {}) {
+  const uniforms = {
+    time: { value: 0 },
+    pointScale: { value: size * window.devicePixelRatio },
+    map: { value: new THREE.TextureLoader(loadingManager).load("./src/circle.png") }
+  };
+
+  const starfield = new THREE.Group();
+  const randomStars = getStarPoints(getRandomStars(numStars), getStarMaterial(uniforms, 1));
+  starfield.add(randomStars);
+
+  let catalogStars = null;
+  if (catalog && catalog.length > 0) {
+    catalogStars = getStarPoints(getCatalogStars(catalog), getStarMaterial(uniforms, 1));
+    starfield.add(catalogStars);
+  }
+
+  // Switch between the real sky (random stars as faint filler) and random stars only
+  starfield.userData.setCatalogVisible = (visible) => {
+    if (!catalogStars) return;
+    catalogStars.visible = visible;
+    randomStars.material.uniforms.brightness.value = visible ? 0.35 : 1;
   };
-  
-  return points;
+  starfield.userData.setCatalogVisible(true);
+
+  // Graphics quality: draw only a share of the random stars (catalog stars always show),
+  // and keep star sizes in CSS pixels when the renderer's pixel ratio changes
+  starfield.userData.setDensity = (density) => {
+    randomStars.geometry.setDrawRange(0, Math.round(numStars * density));
+  };
+  starfield.userData.setPixelRatio = (pixelRatio) => {
+    uniforms.pointScale.value = size * pixelRatio;
+  };
+
+  // Twinkling is animated in the shader; only the time moves
+  starfield.userData.update = (t, delta) => {
+    uniforms.time.value = t;
+  };
+
+  return starfield;
 }
@@ -1,8 +1,36 @@
 import * as THREE from 'three';
 import { getFresnelMat } from "./getFresnelMat.js";
-import { ImprovedNoise } from 'jsm/math/ImprovedNoise.js';
+import getSphereLOD from './getSphereLOD.js';
+import { J2000 } from './keplerOrbit.js';
+import { getPoleQuaternion, getSpinAngle } from './bodyRotation.js';
 // sun
 
+// Gradient noise in roughly -1..1, standing in for ImprovedNoise on the GPU
+const coronaNoise = `
+uniform float time;
+
+vec3 coronaHash(vec3 p) {
+    p = vec3(dot(p, vec3(127.1, 311.7, 74.7)), dot(p, vec3(269.5, 183.3, 246.1)), dot(p, vec3(113.5, 271.9, 124.6)));
+    return -1.0 + 2.0 * fract(sin(p) * 43758.5453123);
+}
+
+float coronaCorner(vec3 i, vec3 f, vec3 o) {
+    return dot(coronaHash(i + o), f - o);
+}
+
+float coronaGradientNoise(vec3 p) {
+    vec3 i = floor(p);
+    vec3 f = fract(p);
+    vec3 u = f * f * f * (f * (f * 6.0 - 15.0) + 10.0);
+    return mix(
+        mix(mix(coronaCorner(i, f, vec3(0.0, 0.0, 0.0)), coronaCorner(i, f, vec3(1.0, 0.0, 0.0)), u.x),
+            mix(coronaCorner(i, f, vec3(0.0, 1.0, 0.0)), coronaCorner(i, f, vec3(1.0, 1.0, 0.0)), u.x), u.y),
+        mix(mix(coronaCorner(i, f, vec3(0.0, 0.0, 1.0)), coronaCorner(i, f, vec3(1.0, 0.0, 1.0)), u.x),
+            mix(coronaCorner(i, f, vec3(0.0, 1.0, 1.0)), coronaCorner(i, f, vec3(1.0, 1.0, 1.0)), u.x), u.y),
+        u.z);
+}
+`;
+
 function getCorona() {
     const radius = 0.9;
     const material = new THREE.MeshBasicMaterial({
@@ -11,29 +39,25 @@ function getCorona() {
         transparent: true,
         opacity: 0.8
     });
-    const geo = new THREE.IcosahedronGeometry(radius, 6);
-    const mesh = new THREE.Mesh(geo, material);
-    const noise = new ImprovedNoise();
-
-    let v3 = new THREE.Vector3();
-    let p = new THREE.Vector3();
-    let pos = geo.attributes.position;
-    pos.usage = THREE.DynamicDrawUsage;
-    const len = pos.count;
+    // Each vertex is pushed out along its direction by noise drifting with time, up to 0.6
+    // in world units once the unit sphere is scaled to `radius`
+    const time = { value: 0 };
+    material.onBeforeCompile = (shader) => {
+        shader.uniforms.time = time;
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>\n${coronaNoise}`)
+            .replace('#include <begin_vertex>', `
+                vec3 direction = normalize(position);
+                vec3 transformed = position + direction * ${(0.6 / radius).toFixed(4)} *
+                    coronaGradientNoise(direction * 3.0 + vec3(cos(time), sin(time), time));
+            `);
+    };
+    const mesh = getSphereLOD({ material });
+    mesh.scale.setScalar(radius);
 
-    function update(t) {
-        for (let i = 0; i < len; i += 1) {
-            p.fromBufferAttribute(pos, i).normalize();
-            v3.copy(p).multiplyScalar(3.0);
-            let ns = noise.noise(v3.x + Math.cos(t), v3.y + Math.sin(t), v3.z + t);
-            v3.copy(p)
-                .setLength(radius)
-                .addScaledVector(p, ns * 0.6);
-            pos.setXYZ(i, v3.x, v3.y, v3.z);
-        }
-        pos.needsUpdate = true;
-    }
-    mesh.userData.update = update;
+    mesh.userData.update = (t, delta) => {
+        time.value = t;
+    };
     return mesh;
 }
 
@@ -58,7 +82,7 @@ function getSolarFlares() {
         flares.add(flare);
     }
     
-    flares.userData.update = (t) => {
+    flares.userData.update = (t, delta) => {
         flares.children.forEach((flare, index) => {
             flare.material.opacity = 0.3 + Math.sin(t * 2 + index) * 0.4;
             flare.scale.setScalar(0.8 + Math.sin(t * 3 + index) * 0.3);
@@ -68,7 +92,7 @@ function getSolarFlares() {
     return flares;
 }
 
-function getSun() {
+function getSun({ clock = null, pole = null, rotationPeriod = 0 } = {}) {
     // Main sun body with enhanced material
     const sunMat = new THREE.MeshStandardMaterial({
         emissive: 0xff4400,
@@ -77,12 +101,13 @@ function getSun() {
         roughness: 0.1,
         metalness: 0.9
     });
-    const geo = new THREE.IcosahedronGeometry(1, 6);
-    const sun = new THREE.Mesh(geo, sunMat);
+    // The surface and rim switch detail on their own; the group carries the spin and pulse
+    const sun = new THREE.Group();
+    sun.add(getSphereLOD({ material: sunMat }));
 
     // Enhanced rim effect
     const sunRimMat = getFresnelMat({ rimHex: 0xffff99, facingHex: 0x000000 });
-    const rimMesh = new THREE.Mesh(geo, sunRimMat);
+    const rimMesh = getSphereLOD({ material: sunRimMat });
     rimMesh.scale.setScalar(1.02);
     sun.add(rimMesh);
 
@@ -98,11 +123,14 @@ function getSun() {
     const sunAmbient = new THREE.PointLight(0xff4400, 5, 30);
     sun.add(sunAmbient);
 
-    // Sun surface animation
-    sun.userData.update = (t) => {
-        sun.rotation.y = t * 0.5;
-        sun.rotation.x = Math.sin(t * 0.3) * 0.1;
-        coronaMesh.userData.update(t);
+    // Sun surface animation: tilted onto its pole and turning with simulation time
+    const tilt = getPoleQuaternion(pole);
+    const spin = new THREE.Quaternion();
+    const axis = new THREE.Vector3(0, 1, 0);
+    sun.userData.update = (t, delta) => {
+        spin.setFromAxisAngle(axis, getSpinAngle(rotationPeriod, clock ? clock.jd : J2000));
+        sun.quaternion.multiplyQuaternions(tilt, spin);
+        coronaMesh.userData.update(t, delta);
         
         // Pulsing effect
         const pulse = 1 + Math.sin(t * 2) * 0.05;
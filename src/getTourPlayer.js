@@ -0,0 +1,67 @@
+// Steps through a guided tour (see loadGuidedTour.js). `applyStep(step, index)` puts the
+// scene into the step's state; while playing, a step with a `duration` moves on by itself
+// once that many seconds have passed and one without waits for `next()`.
+// `onChange(player)` runs after anything that should be reflected in the UI.
+function getTourPlayer({ applyStep, onChange = () => {} }) {
+    let elapsed = 0;
+
+    const player = {
+        tour: null,
+        index: -1,
+        playing: false,
+        load(tour) {
+            player.tour = tour;
+            player.index = -1;
+            player.playing = false;
+            onChange(player);
+        },
+        goTo(index) {
+            if (!player.tour || index < 0 || index >= player.tour.steps.length) return false;
+            player.index = index;
+            elapsed = 0;
+            applyStep(player.tour.steps[index], index);
+            onChange(player);
+            return true;
+        },
+        play() {
+            if (!player.tour || player.tour.steps.length === 0) return;
+            player.playing = true;
+            // Start over once the last step has been reached
+            if (player.index < 0 || player.index === player.tour.steps.length - 1) {
+                player.goTo(0);
+            } else {
+                onChange(player);
+            }
+        },
+        pause() {
+            player.playing = false;
+            onChange(player);
+        },
+        next() {
+            if (player.goTo(player.index + 1)) return true;
+            player.pause();
+            return false;
+        },
+        previous() {
+            return player.goTo(Math.max(player.index - 1, 0));
+        },
+        // Insert a step after the current one and make it current, without applying it
+        record(step) {
+            if (!player.tour) player.tour = { title: 'New tour', steps: [] };
+            player.index += 1;
+            player.tour.steps.splice(player.index, 0, step);
+            elapsed = 0;
+            onChange(player);
+        },
+        update(delta) {
+            if (!player.playing || player.index < 0) return;
+            const { duration } = player.tour.steps[player.index];
+            if (duration === undefined) return;
+            elapsed += delta;
+            if (elapsed >= duration) player.next();
+        }
+    };
+    return player;
+}
+
+export default getTourPlayer;
@@ -0,0 +1,109 @@
+// Graphics presets. `maxPixelRatio` caps the device pixel ratio (below 1 renders fewer pixels
+// than the screen has), `sphereDetail` is the finest icosahedron detail of planets and the Sun,
+// `density` the share of background stars, particles and nebula sprites that are drawn, and
+// `bloom` / `fxaa` allow those post-processing passes
+const QUALITY_PRESETS = {
+    low: { label: 'Low', maxPixelRatio: 0.75, shadowMapSize: 512, sphereDetail: 3, density: 0.3, bloom: false, fxaa: false },
+    medium: { label: 'Medium', maxPixelRatio: 1, shadowMapSize: 1024, sphereDetail: 4, density: 0.6, bloom: true, fxaa: true },
+    high: { label: 'High', maxPixelRatio: 1.5, shadowMapSize: 2048, sphereDetail: 5, density: 1, bloom: true, fxaa: true },
+    ultra: { label: 'Ultra', maxPixelRatio: 2, shadowMapSize: 4096, sphereDetail: 6, density: 1, bloom: true, fxaa: true }
+};
+const QUALITY_LEVELS = Object.keys(QUALITY_PRESETS);
+
+// Detail the scene's spheres are built with, which `sphereDetail` counts down from
+const FULL_DETAIL = 6;
+
+function getTargetDetail(baseDetail, detail) {
+    return Math.max(2, baseDetail - (FULL_DETAIL - detail));
+}
+
+// Caps the finest level of every LOD sphere (see getSphereLOD.js), keeping each one's offset
+// from full detail (an atmosphere built at 4 stays two steps coarser than its planet)
+function setSphereDetail(root, detail) {
+    root.traverse((object) => {
+        if (object.userData.setDetail) {
+            object.userData.setDetail(getTargetDetail(object.userData.baseDetail, detail));
+        }
+    });
+}
+
+function setShadowMapSize(root, size) {
+    root.traverse((object) => {
+        if (!object.isLight || !object.shadow || object.shadow.mapSize.x === size) return;
+        object.shadow.mapSize.set(size, size);
+        // Recreated at the new size on the next render
+        if (object.shadow.map) {
+            object.shadow.map.dispose();
+            object.shadow.map = null;
+        }
+    });
+}
+
+// The scene side of a preset; objects that can thin themselves out provide `userData.setDensity`
+function applyQualityToScene(root, preset) {
+    setSphereDetail(root, preset.sphereDetail);
+    setShadowMapSize(root, preset.shadowMapSize);
+    root.traverse(object => object.userData.setDensity?.(preset.density));
+}
+
+// Steps through the presets by measured frame time: down after `downSeconds` of smoothed
+// frame times above `slowFrame`, up after `upSeconds` below `fastFrame`. Each change is
+// followed by `settleSeconds` before frames are judged again, and a level that was too
+// slow once is not tried again, so the quality never see-saws.
+function getAdaptiveQuality({
+    level = 'high',
+    onChange = () => {},
+    slowFrame = 1 / 40,
+    fastFrame = 1 / 55,
+    downSeconds = 2,
+    upSeconds = 8,
+    settleSeconds = 3
+} = {}) {
+    let average = null;
+    let slowFor = 0;
+    let fastFor = 0;
+    let settle = settleSeconds;
+    let ceiling = QUALITY_LEVELS.length - 1;
+
+    function setLevel(name) {
+        adaptive.level = name;
+        average = null;
+        slowFor = 0;
+        fastFor = 0;
+        settle = settleSeconds;
+    }
+
+    const adaptive = {
+        level,
+        // Start measuring again from `name`, e.g. when adaptive mode is switched back on
+        reset(name = adaptive.level) {
+            ceiling = QUALITY_LEVELS.length - 1;
+            setLevel(name);
+        },
+        update(delta) {
+            if (delta <= 0) return;
+            if (settle > 0) {
+                settle -= delta;
+                return;
+            }
+            // Smoothed over roughly half a second
+            average = average === null ? delta : average + (delta - average) * Math.min(1, delta * 2);
+            slowFor = average > slowFrame ? slowFor + delta : 0;
+            fastFor = average < fastFrame ? fastFor + delta : 0;
+            const index = QUALITY_LEVELS.indexOf(adaptive.level);
+            let next = index;
+            if (slowFor >= downSeconds && index > 0) {
+                next = index - 1;
+                ceiling = next;
+            } else if (fastFor >= upSeconds && index < ceiling) {
+                next = index + 1;
+            }
+            if (next === index) return;
+            setLevel(QUALITY_LEVELS[next]);
+            onChange(adaptive.level);
+        }
+    };
+    return adaptive;
+}
+
+export { QUALITY_PRESETS, QUALITY_LEVELS, applyQualityToScene, getAdaptiveQuality };
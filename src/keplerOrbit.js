@@ -0,0 +1,129 @@
+import * as THREE from 'three';
+
+// Julian date of the J2000.0 epoch (2000-01-01 12:00 TT)
+const J2000 = 2451545.0;
+const DEG = Math.PI / 180;
+
+// Solve Kepler's equation M = E - e sin(E) for the eccentric anomaly E (radians)
+function solveKepler(meanAnomaly, e, tolerance = 1e-8) {
+    const M = THREE.MathUtils.euclideanModulo(meanAnomaly + Math.PI, Math.PI * 2) - Math.PI;
+    let E = e < 0.8 ? M : Math.PI * Math.sign(M || 1);
+    for (let i = 0; i < 50; i += 1) {
+        const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+        E -= dE;
+        if (Math.abs(dE) < tolerance) break;
+    }
+    return E;
+}
+
+// Orbital period in days, from the elements or from Kepler's third law (heliocentric)
+function getPeriod(elements) {
+    return elements.period ?? 365.25 * Math.pow(elements.a, 1.5);
+}
+
+function getMeanAnomaly(elements, jd) {
+    const { meanAnomaly = 0, epoch = J2000 } = elements;
+    const n = 360 / getPeriod(elements);
+    return (meanAnomaly + n * (jd - epoch)) * DEG;
+}
+
+// Obliquity of the ecliptic at J2000, for converting equatorial (RA/Dec) directions
+const OBLIQUITY = 23.4392911;
+
+// Orientation of the orbit in the ecliptic frame: Rz(node) * Rx(i) * Rz(peri).
+// Satellites may give their elements relative to another reference plane (usually the
+// parent's equator) via `plane: { i, node }`, which is applied on top. Cached per elements object.
+const rotationCache = new WeakMap();
+function getOrbitRotation(elements) {
+    if (!rotationCache.has(elements)) {
+        const { i = 0, node = 0, peri = 0, plane = null } = elements;
+        const rotation = new THREE.Matrix4();
+        if (plane) {
+            rotation.makeRotationZ((plane.node ?? 0) * DEG)
+                .multiply(new THREE.Matrix4().makeRotationX((plane.i ?? 0) * DEG));
+        }
+        rotation.multiply(new THREE.Matrix4().makeRotationZ(node * DEG))
+            .multiply(new THREE.Matrix4().makeRotationX(i * DEG))
+            .multiply(new THREE.Matrix4().makeRotationZ(peri * DEG));
+        rotationCache.set(elements, rotation);
+    }
+    return rotationCache.get(elements);
+}
+
+// Rotate a point from the orbital plane into the ecliptic frame, then map the
+// ecliptic (x, y, z-north) into scene space (x, y-up, z) so orbits run counter-clockwise seen from above
+function orbitalPlaneToScene(elements, xOrb, yOrb, target) {
+    target.set(xOrb, yOrb, 0).applyMatrix4(getOrbitRotation(elements));
+    return target.set(target.x, target.z, -target.y);
+}
+
+// Unit vector of a direction given in equatorial coordinates (right ascension/declination,
+// degrees), rotated into the ecliptic frame
+function equatorialToEcliptic(ra, dec) {
+    const eps = OBLIQUITY * DEG;
+    const x = Math.cos(dec * DEG) * Math.cos(ra * DEG);
+    const y = Math.cos(dec * DEG) * Math.sin(ra * DEG);
+    const z = Math.sin(dec * DEG);
+    return {
+        x,
+        y: y * Math.cos(eps) + z * Math.sin(eps),
+        z: -y * Math.sin(eps) + z * Math.cos(eps)
+    };
+}
+
+// Plane perpendicular to a body's north pole (IAU right ascension/declination, degrees),
+// expressed as an inclination and ascending node on the ecliptic
+function getEquatorPlane({ ra, dec }) {
+    const pole = equatorialToEcliptic(ra, dec);
+    const lambda = Math.atan2(pole.y, pole.x) / DEG;
+    return {
+        i: Math.acos(THREE.MathUtils.clamp(pole.z, -1, 1)) / DEG,
+        node: THREE.MathUtils.euclideanModulo(lambda + 90, 360)
+    };
+}
+
+// Scene-space unit vector toward a right ascension/declination, such as a body's north pole or a star
+function getEquatorialDirection({ ra, dec }, target = new THREE.Vector3()) {
+    const pole = equatorialToEcliptic(ra, dec);
+    return target.set(pole.x, pole.z, -pole.y);
+}
+
+function getPositionFromEccentricAnomaly(elements, E, target) {
+    const { a, e = 0 } = elements;
+    const xOrb = a * (Math.cos(E) - e);
+    const yOrb = a * Math.sqrt(1 - e * e) * Math.sin(E);
+    return orbitalPlaneToScene(elements, xOrb, yOrb, target);
+}
+
+// Position (in the units of `a`) of a body at the given Julian date
+function getOrbitalPosition(elements, jd, target = new THREE.Vector3()) {
+    const E = solveKepler(getMeanAnomaly(elements, jd), elements.e ?? 0);
+    return getPositionFromEccentricAnomaly(elements, E, target);
+}
+
+// Distance (units of `a`), speed (units of `a` per day) and true anomaly (degrees)
+// of a body at the given Julian date
+function getOrbitalState(elements, jd) {
+    const { a, e = 0 } = elements;
+    const E = solveKepler(getMeanAnomaly(elements, jd), e);
+    const n = Math.PI * 2 / getPeriod(elements);
+    const cosE = Math.cos(E);
+    const trueAnomaly = 2 * Math.atan2(Math.sqrt(1 + e) * Math.sin(E / 2), Math.sqrt(1 - e) * Math.cos(E / 2));
+    return {
+        distance: a * (1 - e * cosE),
+        speed: n * a * Math.sqrt(1 - e * e * cosE * cosE) / (1 - e * cosE),
+        trueAnomaly: THREE.MathUtils.euclideanModulo(trueAnomaly / DEG, 360)
+    };
+}
+
+// Closed loop of points tracing the full ellipse, sampled evenly in eccentric anomaly
+function getOrbitPoints(elements, numPoints = 128) {
+    const points = [];
+    for (let k = 0; k <= numPoints; k += 1) {
+        const E = k / numPoints * Math.PI * 2;
+        points.push(getPositionFromEccentricAnomaly(elements, E, new THREE.Vector3()));
+    }
+    return points;
+}
+
+export { J2000, solveKepler, getPeriod, getOrbitalPosition, getOrbitalState, getOrbitPoints, getEquatorPlane, getEquatorialDirection };
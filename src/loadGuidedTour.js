@@ -0,0 +1,107 @@
+import { isNumber } from './validation.js';
+
+// Loads and validates an authored guided tour (see data/tours/). A tour is a list of steps;
+// every field of a step is optional and only what is given changes:
+//   title, narration   text shown while the step is active
+//   target             body id to select
+//   cameraMode         'auto', 'manual', 'orbit' or 'follow'
+//   view               { position: [x, y, z], lookAt: [x, y, z], fov, seconds }: camera and
+//                      look-at offsets from the target (or from the Sun without one) and how
+//                      long the camera takes to get there
+//   date, rate, speed  simulation date (ISO string), days per second and speed multiplier
+//   scaleMode          one of the scale modes
+//   layers             { bloom: true, constellations: false, ... }
+//   duration           seconds before the next step while playing; without it the step waits
+
+const CAMERA_MODES = ['auto', 'manual', 'orbit', 'follow'];
+
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(isNumber);
+}
+
+function validateStep(step, where, errors, { bodyIds, layerNames, scaleModes }) {
+    if (!step || typeof step !== 'object') {
+        errors.push(`${where}: must be an object`);
+        return;
+    }
+    ['title', 'narration'].forEach((key) => {
+        if (step[key] !== undefined && typeof step[key] !== 'string') errors.push(`${where}: "${key}" must be a string`);
+    });
+    if (step.target !== undefined && !(bodyIds ? bodyIds.has(step.target) : typeof step.target === 'string')) {
+        errors.push(`${where}: unknown target "${step.target}"`);
+    }
+    if (step.cameraMode !== undefined && !CAMERA_MODES.includes(step.cameraMode)) {
+        errors.push(`${where}: "cameraMode" must be one of ${CAMERA_MODES.join(', ')}`);
+    }
+    if (step.view !== undefined) {
+        if (!isVector(step.view?.position)) errors.push(`${where}: "view.position" must be [x, y, z]`);
+        if (step.view?.lookAt !== undefined && !isVector(step.view.lookAt)) errors.push(`${where}: "view.lookAt" must be [x, y, z]`);
+        if (step.view?.fov !== undefined && (!isNumber(step.view.fov) || step.view.fov <= 0 || step.view.fov >= 180)) {
+            errors.push(`${where}: "view.fov" must be between 0 and 180 degrees`);
+        }
+        if (step.view?.seconds !== undefined && (!isNumber(step.view.seconds) || step.view.seconds <= 0)) {
+            errors.push(`${where}: "view.seconds" must be a positive number`);
+        }
+    }
+    if (step.date !== undefined && (typeof step.date !== 'string' || isNaN(new Date(step.date).getTime()))) {
+        errors.push(`${where}: "date" must be an ISO date string`);
+    }
+    if (step.rate !== undefined && !isNumber(step.rate)) errors.push(`${where}: "rate" must be a number of days per second`);
+    if (step.speed !== undefined && (!isNumber(step.speed) || step.speed <= 0)) errors.push(`${where}: "speed" must be a positive number`);
+    if (step.scaleMode !== undefined && !(scaleModes ? scaleModes.includes(step.scaleMode) : typeof step.scaleMode === 'string')) {
+        errors.push(`${where}: unknown scale mode "${step.scaleMode}"`);
+    }
+    if (step.layers !== undefined) {
+        if (!step.layers || typeof step.layers !== 'object') {
+            errors.push(`${where}: "layers" must be an object`);
+        } else {
+            Object.entries(step.layers).forEach(([name, visible]) => {
+                if (layerNames && !layerNames.includes(name)) errors.push(`${where}: unknown layer "${name}"`);
+                if (typeof visible !== 'boolean') errors.push(`${where}: "layers.${name}" must be true or false`);
+            });
+        }
+    }
+    if (step.duration !== undefined && (!isNumber(step.duration) || step.duration <= 0)) {
+        errors.push(`${where}: "duration" must be a positive number of seconds`);
+    }
+}
+
+// `bodyIds` (a Set), `layerNames` and `scaleModes` are checked when given
+function validateGuidedTour(tour, options = {}) {
+    const errors = [];
+    if (!tour || typeof tour !== 'object' || !Array.isArray(tour.steps) || tour.steps.length === 0) {
+        errors.push('tour must be an object with a non-empty "steps" array');
+        return errors;
+    }
+    if (tour.title !== undefined && typeof tour.title !== 'string') errors.push('"title" must be a string');
+    tour.steps.forEach((step, index) => validateStep(step, `steps[${index}]`, errors, options));
+    return errors;
+}
+
+// Parses tour text, such as a file picked by the user; `name` is used in error messages
+function parseGuidedTour(text, name, options = {}) {
+    let tour;
+    try {
+        tour = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Tour "${name}" is not valid JSON: ${err.message}`);
+    }
+    const errors = validateGuidedTour(tour, options);
+    if (errors.length > 0) {
+        const error = new Error(`Tour "${name}" has ${errors.length} problem(s):\n${errors.join('\n')}`);
+        error.problems = errors;
+        throw error;
+    }
+    return tour;
+}
+
+async function loadGuidedTour(url, options = {}) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load tour "${url}": ${response.status} ${response.statusText}`);
+    }
+    return parseGuidedTour(await response.text(), url, options);
+}
+
+export default loadGuidedTour;
+export { parseGuidedTour, validateGuidedTour };
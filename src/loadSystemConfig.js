@@ -0,0 +1,204 @@
+import { isNumber, isNonEmptyString } from './validation.js';
+
+// Loads and validates the JSON description of a planetary system (see data/solar-system.json).
+// Every problem found is collected so a bad file reports all of its mistakes at once.
+
+const ELEMENT_KEYS = ['i', 'node', 'peri', 'meanAnomaly', 'epoch'];
+
+function validateElements(elements, where, errors) {
+    if (!elements || typeof elements !== 'object') {
+        errors.push(`${where}: "orbit.elements" is required`);
+        return;
+    }
+    if (!isNumber(elements.a) || elements.a <= 0) {
+        errors.push(`${where}: "orbit.elements.a" must be a positive number (semi-major axis in AU)`);
+    }
+    if (elements.e !== undefined && (!isNumber(elements.e) || elements.e < 0 || elements.e >= 1)) {
+        errors.push(`${where}: "orbit.elements.e" must be a number in [0, 1) (only closed orbits are supported)`);
+    }
+    ELEMENT_KEYS.forEach((key) => {
+        if (elements[key] !== undefined && !isNumber(elements[key])) {
+            errors.push(`${where}: "orbit.elements.${key}" must be a number`);
+        }
+    });
+    if (elements.period !== undefined && (!isNumber(elements.period) || elements.period <= 0)) {
+        errors.push(`${where}: "orbit.elements.period" must be a positive number of days`);
+    }
+}
+
+function validateBody(body, index, ids, errors) {
+    const where = `bodies[${index}]${isNonEmptyString(body?.id) ? ` ("${body.id}")` : ''}`;
+    if (!body || typeof body !== 'object') {
+        errors.push(`${where}: must be an object`);
+        return;
+    }
+    if (!isNonEmptyString(body.id)) {
+        errors.push(`${where}: "id" must be a non-empty string`);
+    } else if (ids.has(body.id)) {
+        errors.push(`${where}: duplicate id "${body.id}"`);
+    }
+    if (!isNonEmptyString(body.name)) errors.push(`${where}: "name" must be a non-empty string`);
+    if (!isNonEmptyString(body.type)) errors.push(`${where}: "type" must be a non-empty string`);
+    if (!isNumber(body.size) || body.size <= 0) errors.push(`${where}: "size" must be a positive number`);
+    if (body.physical !== undefined && (typeof body.physical !== 'object' || body.physical === null)) {
+        errors.push(`${where}: "physical" must be an object`);
+    } else if (body.physical?.pole !== undefined && (!isNumber(body.physical.pole?.ra) || !isNumber(body.physical.pole?.dec))) {
+        errors.push(`${where}: "physical.pole" must have numeric "ra" and "dec" (degrees)`);
+    }
+    ['radiusKm', 'massKg', 'temperatureK'].forEach((key) => {
+        if (body.physical?.[key] !== undefined && (!isNumber(body.physical[key]) || body.physical[key] <= 0)) {
+            errors.push(`${where}: "physical.${key}" must be a positive number`);
+        }
+    });
+    if (body.physical?.rotationPeriod !== undefined && (!isNumber(body.physical.rotationPeriod) || body.physical.rotationPeriod === 0)) {
+        errors.push(`${where}: "physical.rotationPeriod" must be a non-zero number of hours (negative for retrograde)`);
+    }
+    if (body.tint !== undefined && !isNonEmptyString(body.tint)) {
+        errors.push(`${where}: "tint" must be a CSS color string`);
+    }
+    if (body.description !== undefined && typeof body.description !== 'string') {
+        errors.push(`${where}: "description" must be a string`);
+    }
+
+    if (body.parent === null || body.parent === undefined) {
+        return;
+    }
+
+    // Everything except the root orbits its parent
+    if (!body.orbit || typeof body.orbit !== 'object') {
+        errors.push(`${where}: "orbit" is required for a body with a parent`);
+    } else {
+        // Without a distance the body is placed by the compressed scale built from those that have one
+        if (body.orbit.distance !== undefined && (!isNumber(body.orbit.distance) || body.orbit.distance <= 0)) {
+            errors.push(`${where}: "orbit.distance" must be a positive number (scene units)`);
+        }
+        validateElements(body.orbit.elements, where, errors);
+        if (body.orbit.frame !== undefined && !['ecliptic', 'equator'].includes(body.orbit.frame)) {
+            errors.push(`${where}: "orbit.frame" must be "ecliptic" or "equator"`);
+        }
+    }
+    // Textures are optional: without them the resolver falls back to its patterns and placeholders
+    if (body.textures !== undefined) {
+        if (!body.textures || typeof body.textures !== 'object') {
+            errors.push(`${where}: "textures" must be an object`);
+        } else {
+            Object.entries(body.textures).forEach(([role, file]) => {
+                if (!isNonEmptyString(file)) errors.push(`${where}: "textures.${role}" must be a file name`);
+            });
+        }
+    }
+    if (body.atmosphere !== undefined && body.atmosphere !== null && !isNonEmptyString(body.atmosphere.color)) {
+        errors.push(`${where}: "atmosphere.color" must be a CSS color string such as "#88aaff"`);
+    }
+    if (body.rings !== undefined) {
+        if (!Array.isArray(body.rings)) {
+            errors.push(`${where}: "rings" must be an array`);
+        } else {
+            body.rings.forEach((ring, ringIndex) => {
+                if (!isNumber(ring?.innerRadius) || !isNumber(ring?.outerRadius) || ring.innerRadius <= 0 || ring.outerRadius <= ring.innerRadius) {
+                    errors.push(`${where}: "rings[${ringIndex}]" needs 0 < innerRadius < outerRadius`);
+                }
+            });
+        }
+    }
+}
+
+// Optional auto-camera tour: stops name bodies, timings are in seconds
+function validateTour(tour, ids, errors) {
+    if (!tour || typeof tour !== 'object') {
+        errors.push('"tour" must be an object');
+        return;
+    }
+    ['flySeconds', 'orbitSeconds', 'idleSeconds'].forEach((key) => {
+        if (tour[key] !== undefined && (!isNumber(tour[key]) || tour[key] <= 0)) {
+            errors.push(`"tour.${key}" must be a positive number of seconds`);
+        }
+    });
+    if (!Array.isArray(tour.stops) || tour.stops.length === 0) {
+        errors.push('"tour.stops" must be a non-empty array');
+        return;
+    }
+    tour.stops.forEach((stop, index) => {
+        if (!ids.has(stop?.id)) errors.push(`"tour.stops[${index}]": unknown body "${stop?.id}"`);
+        if (stop?.seconds !== undefined && (!isNumber(stop.seconds) || stop.seconds <= 0)) {
+            errors.push(`"tour.stops[${index}].seconds" must be a positive number`);
+        }
+    });
+}
+
+function validateSystemConfig(config) {
+    const errors = [];
+    if (!config || typeof config !== 'object' || !Array.isArray(config.bodies) || config.bodies.length === 0) {
+        errors.push('config must be an object with a non-empty "bodies" array');
+        return errors;
+    }
+
+    const ids = new Set();
+    config.bodies.forEach((body, index) => {
+        validateBody(body, index, ids, errors);
+        if (isNonEmptyString(body?.id)) ids.add(body.id);
+    });
+
+    const byId = new Map(config.bodies.filter(body => body && isNonEmptyString(body.id)).map(body => [body.id, body]));
+    const roots = config.bodies.filter(body => body && (body.parent === null || body.parent === undefined));
+    if (roots.length !== 1) {
+        errors.push(`exactly one body must have no parent (the central star), found ${roots.length}`);
+    } else if (!isNumber(roots[0].physical?.radiusKm)) {
+        // True sizes are measured against the star: its radius sets the km per scene unit
+        errors.push(`"${roots[0].id}": the central star needs "physical.radiusKm"`);
+    }
+    byId.forEach((body, id) => {
+        if (body.parent === null || body.parent === undefined) return;
+        if (!byId.has(body.parent)) {
+            errors.push(`"${id}": unknown parent "${body.parent}"`);
+            return;
+        }
+        const parent = byId.get(body.parent);
+        if (body.orbit && body.orbit.distance === undefined && (parent.parent !== null && parent.parent !== undefined)) {
+            errors.push(`"${id}": satellites need "orbit.distance"`);
+        }
+        if (body.orbit?.frame === 'equator' && !parent.physical?.pole) {
+            errors.push(`"${id}": orbit frame "equator" needs "physical.pole" on parent "${body.parent}"`);
+        }
+        // Walk up the hierarchy to catch cycles such as a -> b -> a
+        const seen = new Set([id]);
+        let current = byId.get(body.parent);
+        while (current && current.parent !== null && current.parent !== undefined) {
+            if (seen.has(current.id)) {
+                errors.push(`"${id}": parent chain forms a cycle`);
+                return;
+            }
+            seen.add(current.id);
+            current = byId.get(current.parent);
+        }
+    });
+    if (config.tour !== undefined) validateTour(config.tour, ids, errors);
+    // Optional body that light-times in the info panel are measured from
+    if (config.observer !== undefined && !ids.has(config.observer)) {
+        errors.push(`"observer": unknown body "${config.observer}"`);
+    }
+    return errors;
+}
+
+async function loadSystemConfig(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load system config "${url}": ${response.status} ${response.statusText}`);
+    }
+    let config;
+    try {
+        config = await response.json();
+    } catch (err) {
+        throw new Error(`System config "${url}" is not valid JSON: ${err.message}`);
+    }
+    const errors = validateSystemConfig(config);
+    if (errors.length > 0) {
+        const error = new Error(`System config "${url}" has ${errors.length} problem(s):\n${errors.join('\n')}`);
+        error.problems = errors;
+        throw error;
+    }
+    return config;
+}
+
+export default loadSystemConfig;
+export { validateSystemConfig };
@@ -0,0 +1,21 @@
+import * as THREE from 'three';
+
+// One manager shared by every loader (models, textures, data files) so the
+// loading overlay can report progress and failures for all assets in one place
+const loadingManager = new THREE.LoadingManager();
+
+// Track a promise-based load (e.g. a fetch) as a manager item
+function trackLoad(url, load) {
+    loadingManager.itemStart(url);
+    return load().then((result) => {
+        loadingManager.itemEnd(url);
+        return result;
+    }, (err) => {
+        loadingManager.itemError(url);
+        loadingManager.itemEnd(url);
+        throw err;
+    });
+}
+
+export default loadingManager;
+export { trackLoad };
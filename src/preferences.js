@@ -0,0 +1,51 @@
+// Settings that survive a reload, kept as one JSON object in localStorage. Only names found
+// in `defaults` are read back, and only with the same type as the default, so a stale or
+// hand-edited entry falls back instead of breaking the app. When storage is unavailable
+// (private browsing, blocked cookies, full quota) nothing is remembered.
+function getPreferences({ key, defaults, storage = null }) {
+    function getStorage() {
+        try {
+            return storage ?? window.localStorage;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    function read() {
+        try {
+            return JSON.parse(getStorage()?.getItem(key) ?? 'null') ?? {};
+        } catch (err) {
+            console.warn(`Ignoring saved preferences: ${err.message}`);
+            return {};
+        }
+    }
+
+    const preferences = {
+        defaults,
+        load() {
+            const stored = read();
+            return Object.fromEntries(Object.entries(defaults).map(([name, value]) => [
+                name,
+                typeof stored[name] === typeof value ? stored[name] : value
+            ]));
+        },
+        save(values) {
+            const known = Object.keys(defaults).filter(name => name in values);
+            try {
+                getStorage()?.setItem(key, JSON.stringify(Object.fromEntries(known.map(name => [name, values[name]]))));
+            } catch (err) {
+                console.warn(`Could not save preferences: ${err.message}`);
+            }
+        },
+        clear() {
+            try {
+                getStorage()?.removeItem(key);
+            } catch (err) {
+                console.warn(`Could not clear preferences: ${err.message}`);
+            }
+        }
+    };
+    return preferences;
+}
+
+export default getPreferences;
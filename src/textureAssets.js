@@ -0,0 +1,147 @@
+import * as THREE from 'three';
+import loadingManager from './loadingManager.js';
+
+// Resolves logical texture roles (color, normal, clouds, ring...) for a body to real files.
+// Candidates are tried in order: the file named in the system config, then the role's
+// fallback patterns from textures/manifest.json. When nothing loads, roles that would
+// otherwise render black get a procedural placeholder, and every miss is reported.
+
+const TEXTURE_DIR = './textures/';
+const texLoader = new THREE.TextureLoader(loadingManager);
+const loadCache = new Map();
+const pending = new Set();
+const diagnostics = [];
+const listeners = [];
+let manifest = { roles: {} };
+
+async function loadTextureManifest(url = `${TEXTURE_DIR}manifest.json`) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load texture manifest "${url}": ${response.status} ${response.statusText}`);
+    }
+    manifest = await response.json();
+    return manifest;
+}
+
+function onTextureDiagnostic(callback) {
+    listeners.push(callback);
+    diagnostics.forEach(callback);
+}
+
+function report(entry) {
+    diagnostics.push(entry);
+    if (entry.resolved) {
+        console.info(`[textures] ${entry.id} ${entry.role}: using ${entry.resolved} (missing ${entry.tried.join(', ')})`);
+    } else {
+        console.warn(`[textures] ${entry.id} ${entry.role}: no file found (tried ${entry.tried.join(', ')})${entry.placeholder ? ', using a placeholder' : ''}`);
+    }
+    listeners.forEach(callback => callback(entry));
+}
+
+// One request per file, shared between every body that asks for it; resolves to null on error
+function loadFile(file) {
+    if (!loadCache.has(file)) {
+        loadCache.set(file, new Promise((resolve) => {
+            texLoader.load(`${TEXTURE_DIR}${file}`, resolve, undefined, () => resolve(null));
+        }));
+    }
+    return loadCache.get(file);
+}
+
+function getCandidates(id, role, file) {
+    const preferred = Array.isArray(file) ? file : [file];
+    const patterns = manifest.roles[role]?.fallbacks ?? [];
+    const candidates = [...preferred, ...patterns.map(pattern => pattern.replaceAll('{id}', id))];
+    return [...new Set(candidates.filter(Boolean))];
+}
+
+function createSurfacePlaceholder(tint, banded) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+    const base = new THREE.Color(tint);
+    ctx.fillStyle = `#${base.getHexString()}`;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    const shade = new THREE.Color();
+    if (banded) {
+        // Gas and ice giants: horizontal cloud bands
+        for (let y = 0; y < canvas.height; y += 4) {
+            shade.copy(base).offsetHSL(0, 0, Math.sin(y * 0.35) * 0.08 + (Math.random() - 0.5) * 0.04);
+            ctx.fillStyle = `#${shade.getHexString()}`;
+            ctx.fillRect(0, y, canvas.width, 4);
+        }
+    } else {
+        // Rocky bodies: scattered darker and lighter patches
+        for (let i = 0; i < 120; i += 1) {
+            shade.copy(base).offsetHSL(0, 0, (Math.random() - 0.5) * 0.2);
+            ctx.fillStyle = `#${shade.getHexString()}`;
+            ctx.beginPath();
+            ctx.arc(Math.random() * canvas.width, Math.random() * canvas.height, Math.random() * 8 + 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+    return new THREE.CanvasTexture(canvas);
+}
+
+function createRingPlaceholder(tint) {
+    // RingGeometry UVs are a planar projection, so concentric circles map onto the ring's radius
+    const size = 256;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    const base = new THREE.Color(tint);
+    const rgb = `${Math.round(base.r * 255)}, ${Math.round(base.g * 255)}, ${Math.round(base.b * 255)}`;
+    ctx.lineWidth = 1.5;
+    for (let r = size / 2; r > 0; r -= 1) {
+        const alpha = 0.35 + Math.abs(Math.sin(r * 0.3)) * 0.4 + (Math.random() - 0.5) * 0.2;
+        ctx.strokeStyle = `rgba(${rgb}, ${alpha.toFixed(2)})`;
+        ctx.beginPath();
+        ctx.arc(size / 2, size / 2, r, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+    return new THREE.CanvasTexture(canvas);
+}
+
+function createPlaceholder(kind, { tint = 0x888888, banded = false } = {}) {
+    if (kind === 'surface') return createSurfacePlaceholder(tint, banded);
+    if (kind === 'ring') return createRingPlaceholder(tint);
+    return null;
+}
+
+// Resolve a role for a body. Resolves to a texture, or null when the role has no file and no placeholder
+function resolveTexture(options) {
+    const resolution = resolveCandidates(options);
+    pending.add(resolution);
+    resolution.finally(() => pending.delete(resolution));
+    return resolution;
+}
+
+// Settles once every resolution started so far has found a file or fallen back,
+// including fallbacks that are only requested after an earlier candidate failed
+async function texturesSettled() {
+    while (pending.size > 0) {
+        await Promise.allSettled([...pending]);
+    }
+}
+
+async function resolveCandidates({ id, role, file = null, tint, banded } = {}) {
+    const roleInfo = manifest.roles[role] ?? {};
+    const tried = [];
+    for (const candidate of getCandidates(id, role, file)) {
+        const texture = await loadFile(candidate);
+        if (texture) {
+            if (roleInfo.srgb) texture.colorSpace = THREE.SRGBColorSpace;
+            if (tried.length > 0) report({ id, role, tried, resolved: candidate, placeholder: false });
+            return texture;
+        }
+        tried.push(candidate);
+    }
+    const placeholder = createPlaceholder(roleInfo.placeholder, { tint, banded });
+    if (placeholder && roleInfo.srgb) placeholder.colorSpace = THREE.SRGBColorSpace;
+    report({ id, role, tried, resolved: null, placeholder: Boolean(placeholder) });
+    return placeholder;
+}
+
+export { loadTextureManifest, resolveTexture, texturesSettled, onTextureDiagnostic };
@@ -0,0 +1,11 @@
+// Checks shared by the loaders that validate JSON data (system config, guided tours)
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+export { isNumber, isNonEmptyString };
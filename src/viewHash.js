@@ -0,0 +1,52 @@
+// The current view as a URL hash, in the same shape as a guided tour step (see
+// loadGuidedTour.js) so a shared link is applied exactly like a step. Layers are listed by
+// the names that are on; every other name in `layerNames` is off.
+
+function toVector(text) {
+    return text.split(',').map(Number);
+}
+
+function encodeViewHash(step) {
+    const params = new URLSearchParams();
+    if (step.target) params.set('target', step.target);
+    if (step.cameraMode) params.set('mode', step.cameraMode);
+    if (step.view) {
+        params.set('cam', step.view.position.join(','));
+        if (step.view.lookAt) params.set('look', step.view.lookAt.join(','));
+        if (step.view.fov !== undefined) params.set('fov', step.view.fov);
+    }
+    if (step.date) params.set('date', step.date);
+    if (step.rate !== undefined) params.set('rate', step.rate);
+    if (step.speed !== undefined) params.set('speed', step.speed);
+    if (step.scaleMode) params.set('scale', step.scaleMode);
+    if (step.layers) {
+        params.set('on', Object.keys(step.layers).filter(name => step.layers[name]).join(','));
+    }
+    // Commas and colons are fine in a hash and keep the link readable
+    return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+}
+
+// Returns null for an empty hash; anything else still needs validating as a step
+function decodeViewHash(hash, layerNames = []) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if ([...params.keys()].length === 0) return null;
+    const step = {};
+    if (params.has('target')) step.target = params.get('target');
+    if (params.has('mode')) step.cameraMode = params.get('mode');
+    if (params.has('cam')) {
+        step.view = { position: toVector(params.get('cam')) };
+        if (params.has('look')) step.view.lookAt = toVector(params.get('look'));
+        if (params.has('fov')) step.view.fov = Number(params.get('fov'));
+    }
+    if (params.has('date')) step.date = params.get('date');
+    if (params.has('rate')) step.rate = Number(params.get('rate'));
+    if (params.has('speed')) step.speed = Number(params.get('speed'));
+    if (params.has('scale')) step.scaleMode = params.get('scale');
+    if (params.has('on')) {
+        const on = params.get('on').split(',');
+        step.layers = Object.fromEntries(layerNames.map(name => [name, on.includes(name)]));
+    }
+    return step;
+}
+
+export { encodeViewHash, decodeViewHash };